@@ -17,4 +17,4 @@
  * @license http://www.wtfpl.net/ Do What The Fuck You Want To Public License
  * @author Arsen Mirzaev Tatyano-Muradovich <arsen@mirzaev.sexy>
  */
-export class hotline{#e;#t={};#s={};#n=null;#i=null;interval=10;alive=!0;#l=!1;#r="false";get moving(){return this.#r}movable=!0;wheel=!1;delta=30;button=0;hover=!0;step=1;transfer=!0;#o=!0;sticky=!1;#a=Object.freeze({beginning:Symbol("beginning"),center:Symbol("center"),end:Symbol("end")});get magnetism(){return this.#a}magnetic=null;magnet=1;vertical=!1;observe=!1;#h=null;events=new Map([["ready",!1],["started",!1],["stopped",!1],["configured",!1],["move",!1],["move.mouse",!1],["move.touch",!1],["move.freezed",!1],["move.unfreezed",!1],["moved.forward",!1],["moved.backward",!1],["offset",!1],["transfer.beginning",!0],["transfer.end",!0],["observer.started",!1],["observer.stopped",!1]]);#m=new Set(["events"]);#v=new Map;constructor(e,t=!1){e instanceof HTMLElement&&(this.#e=e,t&&(this.#e.hotline=this),this.#e.childElementCount>1&&(this.#n="ready",this.events.get("ready")&&this.#e.dispatchEvent(new CustomEvent("hotline.ready"))))}start(){if(null===this.#i){const e=this;this.#i=setInterval((()=>{e.#t.element=e.#e.firstElementChild,e.#t.rectangle=e.#t.element.getBoundingClientRect(),e.vertical?(e.#t.position=parseFloat(e.#t.element.style.marginTop)||0,e.#t.offset=parseFloat(getComputedStyle(e.#t.element).marginBottom)||0,e.#t.end=e.#t.rectangle.y+e.#t.rectangle.height+e.#t.offset):(e.#t.position=parseFloat(e.#t.element.style.marginLeft)||0,e.#t.offset=parseFloat(getComputedStyle(e.#t.element).marginRight)||0,e.#t.end=e.#t.rectangle.x+e.#t.rectangle.width+e.#t.offset),e.vertical&&Math.round(e.#t.end)<e.#e.offsetTop||!e.vertical&&Math.round(e.#t.end)<e.#e.offsetLeft?!0===e.transfer&&e.#o&&(e.#e.appendChild(e.#t.element),e.vertical?(e.#t.element.style.marginTop=null,e.events.get("transfer.end")&&e.#e.dispatchEvent(new CustomEvent("hotline.transfer.end",{detail:{element:e.#t.element,offset:-(e.#t.rectangle.height+e.#t.offset)}})),e.#t={}):(e.#t.element.style.marginLeft=null,e.events.get("transfer.end")&&e.#e.dispatchEvent(new CustomEvent("hotline.transfer.end",{detail:{element:e.#t.element,offset:-(e.#t.rectangle.width+e.#t.offset)}})),e.#t={})):e.vertical&&Math.round(e.#t.rectangle.y)>e.#e.offsetTop||!e.vertical&&Math.round(e.#t.rectangle.x)>e.#e.offsetLeft?!0===e.transfer&&e.#o&&(e.#s.element=e.#e.lastElementChild,e.#s.rectangle=e.#s.element.getBoundingClientRect(),e.#e.insertBefore(e.#s.element,e.#t.element),e.vertical?(e.#s.offset=parseFloat(getComputedStyle(e.#s.element).marginBottom)||e.#t.offset||0,e.events.get("transfer.beginning")&&e.#e.dispatchEvent(new CustomEvent("hotline.transfer.beginning",{detail:{element:e.#s.element,offset:e.#s.rectangle.height+e.#s.offset}})),e.#s.element.style.marginTop=-e.#s.rectangle.height-e.#s.offset+"px",e.#t.element.style.marginTop=null,e.#t={}):(e.#s.offset=parseFloat(getComputedStyle(e.#s.element).marginRight)||e.#t.offset||0,e.events.get("transfer.beginning")&&e.#e.dispatchEvent(new CustomEvent("hotline.transfer.beginning",{detail:{element:e.#s.element,offset:e.#s.rectangle.width+e.#s.offset}})),e.#s.element.style.marginLeft=-e.#s.rectangle.width-e.#s.offset+"px",e.#t.element.style.marginLeft=null,e.#t={})):!0===this.alive&&!1===this.#l&&e.move()}),e.interval),this.hover?(this.#v.set("hover",(t=>{e.#l=!0,e.events.get("moving.freezed")&&e.#e.dispatchEvent(new CustomEvent("hotline.moving.freezed",{detail:{event:t}}))})),this.#e.addEventListener("mouseover",this.#v.get("hover"))):(this.#e.removeEventListener("mouseover",this.#v.get("hover")),this.#v.delete("hover")),this.wheel?(this.#v.set("wheel",(t=>{"started"===e.#n&&e.position((parseFloat(e.#e.firstElementChild.style[e.vertical?"marginTop":"marginLeft"])||0)+(null===e.delta?t.wheelDelta:t.wheelDelta>0?e.delta:-e.delta))})),this.#e.addEventListener("wheel",this.#v.get("wheel"))):(this.#e.removeEventListener("wheel",this.#v.get("wheel")),this.#v.delete("wheel"));let t=0;const s=function(e){t+=e.detail.offset??0};e.movable?(e.#v.set("move.start",(n=>{if("touchstart"===n.type||n.button===e.button){e.#l=!0,e.events.get("moving.freezed")&&e.#e.dispatchEvent(new CustomEvent("hotline.moving.freezed",{detail:{event:n}}));const i=n.pageX||n.touches&&n.touches[0]?.pageX||0,l=n.pageY||n.touches&&n.touches[0]?.pageY||0;e.#e.addEventListener("hotline.transfer.beginning",s),e.#e.addEventListener("hotline.transfer.end",s);const r=e.#t.position;e.#v.set("moving",(s=>{if("started"===e.#n){if(e.#r=!0,e.vertical){const n=s.pageY||s.touches&&s.touches[0].pageY||0;e.position(n-(l+t-r))}else{const n=s.pageX||s.touches&&s.touches[0].pageX||0;e.position(n-(i+t-r))}"mousemove"===s.type?e.events.get("move.mouse")&&e.#e.dispatchEvent(new CustomEvent("hotline.move.mouse",{detail:{from:r,to:e.#t.position}})):"touchmove"===s.type&&e.events.get("move.touch")&&e.#e.dispatchEvent(new CustomEvent("hotline.move.touch",{detail:{from:r,to:e.#t.position}}))}})),document.addEventListener("mousemove",e.#v.get("moving")),document.addEventListener("touchmove",e.#v.get("moving"))}})),e.#e.addEventListener("mousedown",e.#v.get("move.start")),e.#e.addEventListener("touchstart",e.#v.get("move.start")),e.#v.set("move.leaved",(()=>{document.removeEventListener("mousemove",e.#v.get("moving")),e.#v.delete("moving"),document.removeEventListener("mouseleave",e.#v.get("move.leaved"))})),document.addEventListener("mouseleave",e.#v.get("move.leaved")),e.#v.set("move.end",(n=>{if(e.#r=!1,document.removeEventListener("mousemove",e.#v.get("moving")),document.removeEventListener("touchmove",e.#v.get("moving")),e.#v.delete("moving"),t=0,e.#e.removeEventListener("hotline.transfer.beginning",s),e.#e.removeEventListener("hotline.transfer.end",s),!1===e.hover&&e.#e.contains(n.target)||(e.#l=!1,e.events.get("move.unfreezed")&&e.#e.dispatchEvent(new CustomEvent("hotline.move.unfreezed"))),null!==e.magnetic)if(n.target===e.#e);else{let t=n.target,s=100;for(;t.parentElement!==e.#e&&0!=--s;)t=t.parentElement;t instanceof HTMLElement&&t.parentElement===e.#e&&e.magnetize(t,e.magnetic)}})),e.#e.addEventListener("mouseup",e.#v.get("move.end")),e.#e.addEventListener("touchend",e.#v.get("move.end")),e.#v.set("move.leave",(n=>{t=0,!1===e.sticky&&(e.#r=!1,document.removeEventListener("mousemove",e.#v.get("moving")),document.removeEventListener("touchmove",e.#v.get("moving")),e.#v.delete("moving"),e.#e.removeEventListener("hotline.transfer.beginning",s),e.#e.removeEventListener("hotline.transfer.end",s)),e.#l=!1,e.events.get("move.unfreezed")&&e.#e.dispatchEvent(new CustomEvent("hotline.move.unfreezed"))})),e.#e.addEventListener("mouseleave",e.#v.get("move.leave"))):(e.#e.removeEventListener("mousedown",e.#v.get("move.start")),e.#e.removeEventListener("touchstart",e.#v.get("move.start")),e.#v.delete("move.start"),e.#r=!1,document.removeEventListener("mousemove",e.#v.get("moving")),document.removeEventListener("touchmove",e.#v.get("moving")),e.#v.delete("moving"),t=0,e.#e.removeEventListener("mouseup",e.#v.get("move.end")),e.#e.removeEventListener("touchend",e.#v.get("move.end")),e.#v.delete("move.end"),e.#e.addEventListener("mouseleave",e.#v.get("move.leave")),e.#v.delete("move.leave")),this.#n="started",e.events.get("started")&&this.#e.dispatchEvent(new CustomEvent("hotline.started"))}this.observe?null===this.#h&&(this.#h=new MutationObserver((function(e){for(const t of e)"attributes"===t.type&&this.configure(t.attributeName);this.restart()})),this.#h.observe(this.#e,{attributes:!0}),this.events.get("observer.started")&&this.#e.dispatchEvent(new CustomEvent("hotline.observer.started",{detail:{instance:this.#h}}))):this.#h instanceof MutationObserver&&(this.#h.disconnect(),this.#h=null,this.events.get("observer.stopped")&&this.#e.dispatchEvent(new CustomEvent("hotline.observer.stopped")))}stop(){clearInterval(this.#i),this.#i=null,this.#n="stopped",this.events.get("stopped")&&this.#e.dispatchEvent(new CustomEvent("hotline.stopped"))}restart(){this.stop(),this.start()}configure(e){const t=(/^data-hotline-(\w+)$/.exec(e)??[,null])[1];if("string"==typeof t){if(this.#m.has(t))return;const s=this.#e.getAttribute(e);"magnetic"===t&&"symbol"==typeof this.magnetism[s]?this.magnetic=this.magnetism[s]:"string"==typeof s&&(this[t]="true"===s||"on"===s||"yes"===s||"false"!==s&&"off"!==s&&"no"!==s&&(parseFloat(s)||s),this.events.get("configured")&&this.#e.dispatchEvent(new CustomEvent("hotline.configured",{detail:{name:t,value:this[t]}})))}}position(e){const t=this.#t.position||void 0;return void 0===this.#t.element&&(this.#t.element=this.#e.firstElementChild),this.#t.element instanceof HTMLElement?(this.#t.position=e,this.#t.element.style[this.vertical?"marginTop":"marginLeft"]=this.#t.position+"px",this.events.get("position")&&this.#e.dispatchEvent(new CustomEvent("hotline.position",{detail:{from:t,to:e}})),e-(t||0)):null}move(e){const t=this.#t.position,s=this.#t.position+(e||this.step),n=this.position(s);return this.events.get("moving")&&document.dispatchEvent(new CustomEvent("hotline.moving",{detail:{from:t,to:s}})),n}forward(){return new Promise(((e,t)=>{let s,n=Math.abs(this.step)||1;const i=setInterval((()=>{++n,this.move(n)}),this.interval),l=()=>{n>10&&(clearInterval(i),clearTimeout(s),this.events.get("moved.forward")&&this.#e.dispatchEvent(new CustomEvent("hotline.moved.forward")),this.#e.removeEventListener("hotline.transfer.beginning",l),e())};this.#e.addEventListener("hotline.transfer.beginning",l,!1),s=setTimeout((()=>{clearTimeout(i),t()}),5e3)}))}backward(){return new Promise(((e,t)=>{let s,n=-Math.abs(this.step)||-1;const i=setInterval((()=>{--n,this.move(n)}),this.interval),l=()=>{n<-10&&(clearInterval(i),clearTimeout(s),this.events.get("moved.backward")&&this.#e.dispatchEvent(new CustomEvent("hotline.moved.backward")),this.#e.removeEventListener("hotline.transfer.end",l),e())};this.#e.addEventListener("hotline.transfer.end",l,!1),s=setTimeout((()=>{clearTimeout(i),t()}),5e3)}))}magnetize(e,t){return new Promise(((s,n)=>{if(e instanceof HTMLElement){const i=e.getBoundingClientRect(),l=this.#e.getBoundingClientRect();let r;switch(t){case this.#a.beginning:break;case this.#a.center:r=i.x+i.width/2-(l.x+l.width/2);break;case this.#a.end:break;default:return}if(r>0){let e,i=-Math.abs(this.magnet)||-Math.abs(this.step)||0;const l=setInterval((()=>{--i;r+i<=0&&(i=-r),r+=this.move(i)||0,0===r&&(clearInterval(l),clearTimeout(e),this.events.get("magnetized")&&this.#e.dispatchEvent(new CustomEvent("hotline.magnetized",{detail:{magnetism:t}})),s(t))}),this.interval);e=setTimeout((()=>{clearTimeout(l),n()}),5e3)}else if(r<0){let e,i=Math.abs(this.magnet)||Math.abs(this.step)||0;const l=setInterval((()=>{++i;r+i>=0&&(i=-r),r+=this.move(i)||0,0===r&&(clearInterval(l),clearTimeout(e),this.events.get("magnetized")&&this.#e.dispatchEvent(new CustomEvent("hotline.magnetized",{detail:{magnetism:t}})),s(t))}),this.interval);e=setTimeout((()=>{clearTimeout(l),n()}),5e3)}else this.events.get("magnetized")&&this.#e.dispatchEvent(new CustomEvent("hotline.magnetized",{detail:{magnetism:t}})),s(t)}}))}static preprocessing(e=!1,t=!1){const s=new Set;for(const e of document.querySelectorAll('*[data-hotline="true"]')){const n=new this(e,t);for(const t of e.getAttributeNames())n.configure(t);n.start(),s.add(n)}return e&&document.dispatchEvent(new CustomEvent("hotline.preprocessed"),{detail:{generated:s}}),s}}
\ No newline at end of file
+export class hotline{#t;#e={};#s={};#i=null;#n=null;#l=new WeakSet;suspend=!0;#r=!1;#h=!0;#o=null;#a=null;#c="idle";get status(){return this.#c}#u=Object.freeze({idle:new Set(["ready","destroyed"]),ready:new Set(["idle","running","destroyed"]),running:new Set(["ready","paused","frozen","destroyed"]),paused:new Set(["ready","running","destroyed"]),frozen:new Set(["ready","running","paused","destroyed"]),destroyed:new Set});#d=null;#f=null;#m=100;speed=null;acceleration=0;deceleration=0;hoverSpeed=null;#p=0;#g=!1;interval=10;alive=!0;#v=!1;threshold=5;#y=null;get moving(){return this.#v}movable=!0;scroll=null;boost=1;decay=.9;range=null;#b=null;wheel=!1;delta=30;consume=!1;button=0;hover=!0;step=1;transfer=!0;#w=!0;fill=!1;#E=new Map;#z=null;#x=[];duration=300;easing="ease-in-out";#M=new Map([["linear",t=>t],["ease-in-out",this.#k(.42,0,.58,1)],["cubic",t=>t<.5?4*t**3:1-(-2*t+2)**3/2],["spring",t=>1-Math.exp(-6*t)*Math.cos(3*Math.PI*t)]]);#C=null;#T=[];policy="replace";sticky=!1;#L=null;#S=!1;renderer="margin";#A=0;inertia=!1;friction=.95;#j={velocity:0,coordinate:0,timestamp:0};#P=null;#H=20;keyboard=!1;focus=!0;#O=!1;#I=null;reduce=!0;#F=null;#N=!1;toggle=null;caption="Pause";#q=null;role=null;label=null;roledescription=null;conceal=!1;#$=new Set;#R=Object.freeze({beginning:Symbol("beginning"),center:Symbol("center"),end:Symbol("end")});get magnetism(){return this.#R}magnetic=null;padding={beginning:0,center:0,end:0};snap=!1;debounce=150;#D=null;#B=0;magnet=1;vertical=!1;watch=!1;#V=null;#Y=!1;items=null;render=null;key=null;#K=null;#W=null;#X=null;#U=new Map;#G=new Map;virtual=!1;buffer=1;#J=null;#Q=new Map;#Z=new Map;#_=[];#tt=new Map;observe=!1;#et=null;events=new Map([["ready",!1],["started",!1],["statechange",!1],["stopped",!1],["destroyed",!1],["suspended",!1],["resumed",!1],["configured",!1],["position",!1],["move",!1],["move.mouse",!1],["move.touch",!1],["move.pen",!1],["move.freezed",!1],["move.unfreezed",!1],["fling.start",!1],["fling.end",!1],["wheel.end",!1],["magnetized",!1],["moved.forward",!1],["moved.backward",!1],["offset",!1],["transfer.beginning",!0],["transfer.end",!0],["items.changed",!1],["items.error",!0],["observer.started",!1],["observer.stopped",!1]]);#st=new Set(["events"]);#it=new Map;#nt={order:[],styles:new Map};#lt={shell:{},attributes:{}};#rt=!1;constructor(t,e=!1){if(t instanceof HTMLElement){this.#t=t,e&&(this.#t.hotline=this,this.#rt=!0),this.#nt.order=[...this.#t.children],this.#x=[...this.#nt.order];for(const t of this.#nt.order)this.#nt.styles.set(t,{"margin-left":t.style.getPropertyValue("margin-left"),"margin-top":t.style.getPropertyValue("margin-top"),transform:t.style.getPropertyValue("transform"),attribute:t.hasAttribute("style")});this.#ht()&&this.#ot("ready")}}start(){if("destroyed"===this.#c)throw new exception(`Can not change state of the hotline instance from "${this.#c}" to "running"`,"transition",{from:this.#c,to:"running"});if(this.#g=!1,"function"==typeof this.render&&null!==this.items&&this.items!==this.#K&&null===this.#d&&this.update(this.items).catch(()=>{}),"idle"===this.#c){if(!this.#ht()){if(null!==this.#W||this.#tt.size>0)return void(this.#Y=!0);throw new exception("Not enough elements in the shell to start the hotline instance","elements",{count:this.#t?.childElementCount??0})}this.#ot("ready")}if("ready"===this.#c){const t=this;this.#Y=!1,this.watch&&null===this.#V&&"function"==typeof MutationObserver&&(this.#V=new MutationObserver(e=>t.#at(e)),this.#V.observe(this.#t,{childList:!0})),this.#f=null,this.#p=0,this.#ct(),"function"==typeof ResizeObserver&&(this.#n=new ResizeObserver(()=>t.#ct()),this.#n.observe(this.#t)),this.#ut("layout.images",this.#t,"load",()=>t.#ct(),!0),"object"==typeof document.fonts&&this.#ut("layout.fonts",document.fonts,"loadingdone",()=>t.#ct());const e=s=>{const i=Math.min(s-(t.#f??s),t.#m);t.#f=s,null===t.#i&&t.#dt();const n=t.#ft(i);if(t.#mt()){if(!0===t.transfer&&t.#w)for(const e of t.#tt.values())e()}else if(0!==t.#B&&t.#pt(i),null!==t.#C)t.#gt(i);else if(null!==t.#P)t.#vt(i);else if("scrub"===t.scroll&&null!==t.#b)t.#yt();else if(!0===this.alive){const e=(t.#bt(i)+t.#wt(i))*n;0!==e&&t.move(e)}t.#g&&0===t.#p?t.stop():(t.conceal&&t.#Et(),null===t.#d||t.#r||(t.#d=requestAnimationFrame(e)))};this.#a=e,this.#d=requestAnimationFrame(e),this.suspend&&("function"==typeof IntersectionObserver&&(this.#o=new IntersectionObserver(e=>{t.#h=e[e.length-1].isIntersecting,t.#zt()}),this.#o.observe(this.#t)),this.#ut("visibility",document,"visibilitychange",()=>t.#zt()),this.#zt()),this.hover&&(this.#ut("hover",this.#t,"pointerenter",e=>{"mouse"===e.pointerType&&(t.#S=!0,t.#xt(e))}),this.#ut("hover.leave",this.#t,"pointerleave",e=>{"mouse"===e.pointerType&&(t.#S=!1,null!==t.#L||t.#O||t.#Mt(e))})),"boost"!==this.scroll&&"scrub"!==this.scroll||(this.#b={position:window.scrollY,delta:0,velocity:0,progress:null,scrolled:!0},this.#ut("scroll",window,"scroll",()=>{t.#b.delta+=window.scrollY-t.#b.position,t.#b.position=window.scrollY,t.#b.scrolled=!0},{passive:!0})),this.wheel&&this.#ut("wheel",this.#t,"wheel",e=>{if(e.ctrlKey)return;const s=t.#kt(e);0!==s&&t.#Ct(s)&&(t.consume&&e.preventDefault(),null!==t.#P&&t.#Tt(),t.#Lt("Movement was interrupted by the user"),null===t.delta?t.#B+=s:(t.move(s),t.#St()),clearTimeout(t.#D),t.#D=setTimeout(()=>{t.#D=null,t.events.get("wheel.end")&&t.#t.dispatchEvent(new CustomEvent("hotline.wheel.end")),t.snap&&(t.#pt(1/0),t.#At())},t.debounce))},{passive:!this.consume});let s=0;const i=function(t){s+=t.detail.offset??0};if(t.movable&&(t.#jt("touch-action",t.vertical?"pan-x":"pan-y"),t.#ut("move.start",t.#t,"pointerdown",e=>{if(null===t.#L&&e.isPrimary&&("mouse"!==e.pointerType||e.button===t.button)){null!==t.#P&&t.#Tt(),t.#Lt("Movement was interrupted by the user"),t.#L=e.pointerId,t.#y=null,t.#xt(e);let n=t.vertical?e.pageY:e.pageX;t.#j={velocity:0,coordinate:n,timestamp:e.timeStamp};const l=e.target;t.#ut("move.transfer",t.#t,["hotline.transfer.beginning","hotline.transfer.end"],i);const r=t.#Pt();t.#ut("moving",document,"pointermove",e=>{if(e.pointerId!==t.#L)return;const i=t.vertical?e.pageY:e.pageX;if(!t.#v){if(Math.abs(i-n)<t.threshold)return;t.#v=!0,n=i;try{t.#t.setPointerCapture(e.pointerId)}catch{}document.getSelection?.()?.removeAllRanges()}t.position(i-(n+s-r)),t.#Ht(i,e.timeStamp);const l="move."+e.pointerType;t.events.get(l)&&t.#t.dispatchEvent(new CustomEvent("hotline."+l,{detail:{from:r,to:t.#Pt()}}))}),t.#ut("move.end",document,["pointerup","pointercancel","lostpointercapture"],e=>{if(e.pointerId!==t.#L)return;t.#L=null,t.#v&&(t.#y=e.timeStamp),t.#v=!1,t.#Ot("moving"),t.#Ot("move.end"),s=0,t.#Ot("move.transfer");try{t.#t.releasePointerCapture(e.pointerId)}catch{}const i=e.timeStamp-t.#j.timestamp>100?0:t.#j.velocity;t.inertia&&!t.#F?.matches&&Math.abs(i)>t.#H?t.#It(i,l,e):t.#Ft(l,e)})}}),t.#ut("move.click",t.#t,"click",e=>{null!==t.#y&&(e.timeStamp-t.#y<500&&(e.preventDefault(),e.stopImmediatePropagation()),t.#y=null)},!0),t.#ut("move.drag",t.#t,"dragstart",e=>{null!==t.#L&&e.preventDefault()}),t.#ut("move.select",document,"selectstart",e=>{null!==t.#L&&e.preventDefault()})),t.keyboard&&(t.#t.hasAttribute("tabindex")||t.#Nt("tabindex","0"),t.#ut("keyboard",t.#t,"keydown",e=>{if(!(e.target.isContentEditable||/^(input|textarea|select)$/i.test(e.target.tagName)||e.altKey||e.ctrlKey||e.metaKey)){switch(null===t.#i&&t.#dt(),e.key){case t.vertical?"ArrowUp":"ArrowLeft":t.#qt(()=>t.forward());break;case t.vertical?"ArrowDown":"ArrowRight":t.#qt(()=>t.backward());break;case"Home":t.#$t(t.#Rt(0),"beginning");break;case"End":t.#$t(t.#Rt((t.#J??t.#x).length-1),"end");break;case"PageUp":t.#$t([...t.#t.children].findLast(e=>t.#Dt(e)<0),"end");break;case"PageDown":t.#$t([...t.#t.children].find(e=>t.#Dt(e)+t.#Bt(e).size>t.#i.size),"beginning");break;default:return}e.preventDefault()}})),t.focus&&(t.#ut("focus",t.#t,"focusin",e=>{try{if(!e.target.matches(":focus-visible"))return}catch{}const s=t.#Vt(e.target);null!==s&&(t.#O=!0,t.#xt(e),t.#t.scrollLeft=0,t.#t.scrollTop=0,t.#$t(s,"view"))}),t.#ut("focus.leave",t.#t,"focusout",e=>{t.#t.contains(e.relatedTarget)||(t.#O=!1,null!==t.#L||t.hover&&t.#S||t.#Mt(e))})),null!==t.role&&(t.#Nt("role",t.role),null!==t.label&&t.#Nt("aria-label",t.label),null!==t.roledescription&&t.#Nt("aria-roledescription",t.roledescription)),t.toggle instanceof HTMLElement||!0===t.toggle){const e=!0===t.toggle?document.createElement("button"):t.toggle;t.#q={element:e,injected:!0===t.toggle,pressed:e.getAttribute("aria-pressed")},t.#q.injected&&(e.type="button",e.className="hotline-toggle",e.textContent=t.caption,""!==t.#t.id&&e.setAttribute("aria-controls",t.#t.id),t.#t.before(e)),t.#ut("toggle",e,"click",()=>{"paused"===t.#c?(t.#N=!1,t.resume()):t.pause()})}t.reduce&&"function"==typeof matchMedia&&(t.#F=matchMedia("(prefers-reduced-motion: reduce)"),t.#ut("motion",t.#F,"change",()=>t.#Yt())),this.#ot("running"),null!==t.#F&&t.#Yt(),t.events.get("started")&&this.#t.dispatchEvent(new CustomEvent("hotline.started"))}this.observe?null===this.#et&&(this.#et=new MutationObserver(t=>{let e=!1;for(const s of t)"attributes"===s.type&&/^data-hotline-\w+$/.test(s.attributeName)&&(this.configure(s.attributeName),e=!0);e&&null!==this.#d&&this.restart()}),this.#et.observe(this.#t,{attributes:!0}),this.events.get("observer.started")&&this.#t.dispatchEvent(new CustomEvent("hotline.observer.started",{detail:{instance:this.#et}}))):this.#et instanceof MutationObserver&&(this.#et.disconnect(),this.#et=null,this.events.get("observer.stopped")&&this.#t.dispatchEvent(new CustomEvent("hotline.observer.stopped")))}stop(t=!1){if("destroyed"===this.#c)throw new exception(`Can not change state of the hotline instance from "${this.#c}" to "ready"`,"transition",{from:this.#c,to:"ready"});if(null!==this.#d)if(t&&this.deceleration>0&&this.#p>0&&!this.#r)this.#g=!0;else{this.#g=!1,cancelAnimationFrame(this.#d),this.#d=null,this.#a=null,null!==this.#o&&(this.#o.disconnect(),this.#o=null),this.#h=!0,this.#r=!1,null!==this.#n&&(this.#n.disconnect(),this.#n=null,this.#l=new WeakSet),this.#E.size>0&&this.#Kt();for(const t of[...this.#it.keys()])this.#Ot(t);this.#v=!1,this.#L=null,this.#P=null,this.#Lt("Movement was interrupted by stopping the hotline instance"),null===this.#V||this.#Y||(this.#V.disconnect(),this.#V=null),this.#O=!1,clearTimeout(this.#D),this.#D=null,this.#B=0,this.#b=null,this.#F=null,this.#N=!1,null!==this.#q&&(this.#q.injected?this.#q.element.remove():null===this.#q.pressed?this.#q.element.removeAttribute("aria-pressed"):this.#q.element.setAttribute("aria-pressed",this.#q.pressed),this.#q=null);for(const t of this.#$)t.removeAttribute("aria-hidden");this.#$.clear(),this.#S=!1;for(const t in this.#lt.shell)this.#t.style.setProperty(t,this.#lt.shell[t]);for(const t in this.#lt.attributes){const e=this.#lt.attributes[t];null===e?this.#t.removeAttribute(t):this.#t.setAttribute(t,e)}this.#lt={shell:{},attributes:{}},this.#ct(),this.#ot("ready"),this.events.get("stopped")&&this.#t.dispatchEvent(new CustomEvent("hotline.stopped"))}else this.#Y&&(this.#Y=!1,this.#V?.disconnect(),this.#V=null)}destroy(){if("destroyed"===this.#c)return;this.stop(),this.#et instanceof MutationObserver&&(this.#et.disconnect(),this.#et=null,this.events.get("observer.stopped")&&this.#t.dispatchEvent(new CustomEvent("hotline.observer.stopped"))),null!==this.#V&&(this.#V.disconnect(),this.#V=null),this.#Wt(),this.#_=[],this.#J=null,this.#Q.clear();for(const t of[...this.#tt.keys()])t.disconnect();const t=[...this.#t.children].filter(t=>!this.#x.includes(t));for(const e of[...this.#x,...t])e.parentElement===this.#t&&this.#t.appendChild(e);for(const t of this.#t.children){const e=this.#nt.styles.get(t)??{"margin-left":"","margin-top":"",transform:"",attribute:!0};for(const s of["margin-left","margin-top","transform"])t.style.setProperty(s,e[s]);e.attribute||0!==t.style.length||t.removeAttribute("style")}this.#rt&&this.#t.hotline===this&&delete this.#t.hotline,this.#e={},this.#s={},this.#A=0,this.#ot("destroyed"),this.events.get("destroyed")&&this.#t.dispatchEvent(new CustomEvent("hotline.destroyed"))}pause(){"paused"!==this.#c&&this.#ot("paused")}resume(){if("running"!==this.#c&&"frozen"!==this.#c){if("paused"!==this.#c)throw new exception(`Can not resume the hotline instance in the "${this.#c}" state`,"transition",{from:this.#c,to:"running"});this.#ot("running")}}restart(){this.stop(),this.start()}get elements(){return[...this.#x]}append(t){return this.insert(t,this.#x.length)}prepend(t){return this.insert(t,0)}insert(t,e=this.#x.length){this.#Xt(t);let s=0;return this.#Ut(()=>(this.#x=this.#x.filter(e=>e!==t),s=Math.min(Math.max(Math.trunc(e)||0,0),this.#x.length),0===this.#x.length?this.#t.appendChild(t):s<this.#x.length?this.#x[s].before(t):this.#x[this.#x.length-1].after(t),this.#x.splice(s,0,t),{added:[t],removed:[]})),s}remove(t){if(null!==this.#J)throw new exception("Virtualized elements are changed only by `this.update()`","virtual",{items:this.items});const e="number"==typeof t?this.#x[this.#Gt(t)]:this.#Jt(t);return!!this.#x.includes(e)&&(this.#Ut(()=>(e.remove(),this.#x=this.#x.filter(t=>t!==e),{added:[],removed:[e]})),!0)}replace(t,e){this.#Xt(e);const s=this.#x.indexOf(this.#Jt(t));return-1!==s&&this.#x[s]!==e&&(this.#Ut(()=>{const t=this.#x[s];return this.#x=this.#x.filter(t=>t!==e),t.replaceWith(e),this.#x[this.#x.indexOf(t)]=e,{added:[e],removed:[t]}}),!0)}update(t=this.items){try{if("function"!=typeof this.render)throw new exception("The render function must be a function","render",{render:this.render});if(null===t||"object"!=typeof t||"function"!=typeof t[Symbol.iterator]&&"function"!=typeof t[Symbol.asyncIterator])throw new exception("Items must be an array, an iterable or an async iterable","items",{items:t});if("destroyed"===this.#c)throw new exception("The hotline instance is destroyed","transition",{from:this.#c});if(this.#Wt(),this.items=t,this.#K=t,"function"==typeof t[Symbol.asyncIterator])return this.virtual?(this.#J=[],this.#Q.clear(),this.#Ut(()=>this.#Qt(0))):(this.#J=null,this.#Q.clear(),this.#Ut(()=>{const t=[...this.#x];for(const e of t)e.remove();return this.#x=[],{added:[],removed:t}})),this.#W=t[Symbol.asyncIterator](),this.#Zt();const e=[...t];if(this.virtual){const t=null!==this.#J&&this.#x.length>0?this.#Z.get(this.#x[0])??0:0;return this.#J=e,this.#_t(),this.#Ut(()=>this.#Qt(Math.min(t,Math.max(e.length-1,0)))),Promise.resolve(this.#J.length)}this.#J=null,this.#Q.clear();const s=new Map,i=new Map,n=new Set(e.map(t=>this.#te(t))),l=this.#x.filter(t=>this.#G.has(t)&&!n.has(this.#te(this.#G.get(t)))),r=[];for(const t of e){const e=this.#te(t);if(s.has(e))continue;const n=this.#U.get(e)??null;let h=n??l.shift()??null;if(null===h||this.#G.get(h)!==t){const e=h;h=this.#ee(t,e),null===n&&h===e&&r.push(h)}s.set(e,h),i.set(h,t)}const h=[...s.values()];for(const[t,e]of i)this.#G.set(t,e);return this.#Ut(()=>{const t=this.#x.filter(t=>!h.includes(t)),e=h.filter(t=>!this.#x.includes(t)),s=[];for(const e of t)e.remove();this.#x=this.#x.filter(t=>h.includes(t));for(const[t,e]of h.entries()){if(this.#x[t]===e)continue;const i=this.#x.indexOf(e);-1!==i&&(this.#x.splice(i,1),s.push(e)),t<this.#x.length?this.#x[t].before(e):this.#x.length>0?this.#x[this.#x.length-1].after(e):this.#t.appendChild(e),this.#x.splice(t,0,e)}return{added:e,removed:t,moved:s,reused:r}}),this.#U=s,Promise.resolve(this.#x.length)}catch(t){return Promise.reject(this.#se(t))}}async#Zt(t=1/0){const e=this.#W;if(null===e||this.#X===e)return(this.#J??this.#x).length;this.#X=e;try{for(let s=0;s<t&&(t!==1/0||!this.#ie());++s){const{value:t,done:s}=await e.next();if(this.#W!==e||"destroyed"===this.#c)break;if(s){this.#W=null;break}this.#ne(t)}}catch(t){throw this.#W===e&&(this.#W=null),this.#se(t)}finally{this.#X===e&&(this.#X=null)}return(this.#J??this.#x).length}#_t(t=0){0===t&&this.#Q.clear();for(let e=t;e<this.#J.length;++e)this.#Q.set(this.#te(this.#J[e]),e)}#ne(t){const e=this.#te(t);if(null!==this.#J){const s=this.#Q.get(e)??-1;if(-1===s){this.#J.push(t),this.#Q.set(e,this.#J.length-1);const s=this.#x.some((t,e)=>e>0&&this.#Z.get(t)<=this.#Z.get(this.#x[e-1]));this.#Ut(()=>s?this.#Qt(this.#Z.get(this.#x[0])):this.#le())}else{this.#J[s]=t;const i=this.#U.get(e);if(void 0!==i&&this.#Z.get(i)===s){const n=this.#ee(t,i);this.#G.set(n,t),n===i?this.#ct():this.#Ut(()=>(i.replaceWith(n),this.#x[this.#x.indexOf(i)]=n,this.#U.set(e,n),this.#Z.set(n,s),this.#_.push(i),{added:[n],removed:[i]}))}}return}const s=this.#U.get(e)??null,i=this.#ee(t,s);i===s?this.#ct():null!==s?this.replace(s,i):this.append(i),this.#U.set(e,i),this.#G.set(i,t)}#ee(t,e){const s=this.render(t,e);if(!(s instanceof HTMLElement)||this.#E.has(s))throw new exception("The render function must return an HTMLElement","render",{item:t,element:s});return s}#te(t){return"function"==typeof this.key?this.key(t):"string"==typeof this.key&&"object"==typeof t&&null!==t?t[this.key]:t}#ie(){null===this.#i&&this.#dt();let t=0;for(const[e,s]of this.#x.entries()){if(e===this.#x.length-1)break;const i=this.#Bt(s);t+=i.size+i.offset}return this.#x.length>1&&t>=this.#i.size}#Wt(){const t=this.#W;null!==t&&(this.#W=null,Promise.resolve().then(()=>t.return?.()).catch(()=>{}))}#se(t){return this.events.get("items.error")&&this.#t instanceof HTMLElement&&this.#t.dispatchEvent(new CustomEvent("hotline.items.error",{detail:{error:t}})),t}#Qt(t){const e=[...this.#x];for(const t of e)this.#re(t);const{added:s}=this.#le(t);return{added:s,removed:e.filter(t=>t.parentElement!==this.#t)}}#le(t=0){const e=[],s=[];if(null===this.#J||0===this.#J.length)return{added:e,removed:s};null===this.#i&&this.#dt();const i=this.#J.length,n=this.#i.size,l=Math.max(Math.trunc(this.buffer)||0,1);let r=this.#Pt(),h=0;for(const t of this.#x){r>=n&&++h;const e=this.#Bt(t);r+=e.size+e.offset}for(;(r<n||h<l)&&this.#x.length<i;){const s=this.#x[this.#x.length-1],l=void 0===s?t:this.#Z.get(s)+1;if(l>=i&&(!0!==this.transfer||!this.#w))break;if(void 0!==s&&l%i===this.#Z.get(this.#x[0]))break;const o=this.#he(l%i);this.#t.appendChild(o),this.#x.push(o),e.push(o),r>=n&&++h;const a=this.#Bt(o);r+=a.size+a.offset}for(;h>l&&this.#x.length>1;){const t=this.#x[this.#x.length-1],i=this.#Bt(t);r-=i.size+i.offset,this.#re(t),e.includes(t)||s.push(t),--h}return e.length>0&&"transform"===this.renderer&&this.#oe(this.#A),{added:e.filter(t=>t.parentElement===this.#t),removed:s}}#he(t){const e=this.#J[t],s=this.#_.pop()??null,i=this.#ee(e,s);return null!==s&&i!==s&&this.#_.push(s),this.#U.set(this.#te(e),i),this.#G.set(i,e),this.#Z.set(i,t),i}#re(t){t.remove(),this.#x=this.#x.filter(e=>e!==t),this.#ae(t),this.#_.push(t)}#Rt(t){if(null===this.#J)return this.#x[t]??null;let e=this.#x.find(e=>this.#Z.get(e)===t);return void 0===e&&(this.#Ut(()=>this.#Qt(t)),e=this.#x[0]),e??null}feed(t,{type:e="message",parse:s=t=>"data"in t?t.data:t.detail,maxItems:i=1/0,ttl:n=0}={}){if("destroyed"===this.#c)throw new exception("The hotline instance is destroyed","transition",{from:this.#c});if("function"!=typeof this.render)throw new exception("The render function must be a function","render",{render:this.render});if("function"!=typeof t?.addEventListener&&"function"!=typeof t?.[Symbol.asyncIterator]&&"function"!=typeof t?.next)throw new exception("The source must be an EventTarget, an async iterable or an async iterator","feed",{source:t});this.virtual&&null===this.#J&&this.update([]).catch(()=>{});const l=this,r=new Map;let h=!0,o=null;const a=()=>{const t=Date.now();let e=r.size-i;for(const[s,i]of r){if(e<=0&&(!(n>0)||t-i<n))break;if(!l.#ce(s))break;r.delete(s),--e}},c=t=>{if(!h||void 0===t||"destroyed"===l.#c)return;try{l.#ue(t)}catch(t){return void l.#se(t)}const e=l.#te(t);r.delete(e),r.set(e,Date.now()),a()};if("function"==typeof t.addEventListener){const i=t=>{let e;try{e=s(t)}catch(t){return void l.#se(t)}c(e)};t.addEventListener(e,i),o=()=>t.removeEventListener(e,i)}else{const e="function"==typeof t[Symbol.asyncIterator]?t[Symbol.asyncIterator]():t;(async()=>{try{for(;h;){const{value:t,done:s}=await e.next();if(s)break;c(t)}}catch(t){h&&l.#se(t)}})(),o=()=>Promise.resolve().then(()=>e.return?.()).catch(()=>{})}const u=n>0||i!==1/0?setInterval(a,n>0?Math.min(n,1e3):1e3):null,d={source:t,get items(){return[...r.keys()]},disconnect(){h&&(h=!1,o(),null!==u&&clearInterval(u),l.#tt.delete(d))}};return this.#tt.set(d,a),d}#ue(t){const e=this.#te(t);if(null===this.#J?this.#U.has(e):this.#Q.has(e))return void this.#ne(t);null===this.#i&&this.#dt();const s=this.#bt(1e3)<0;if(null!==this.#J){const e=this.#x[0];let i=void 0===e?0:this.#Z.get(e),n=i;if(s&&void 0!==e){let t=this.#Pt();const e=this.#x.find(e=>{if(t>=this.#i.size)return!0;const s=this.#Bt(e);return t+=s.size+s.offset,!1});n=void 0===e?this.#Z.get(this.#x[this.#x.length-1])+1:this.#Z.get(e)}return this.#J.splice(n,0,t),this.#_t(n),void 0!==e&&n<=i&&++i,void this.#Ut(()=>this.#Qt(i))}let i=this.#Pt(),n=null;for(const t of this.#t.children){const e=this.#Bt(t);if(!this.#E.has(t)&&i+e.size>0&&i<this.#i.size&&(n=t,!s))break;i+=e.size+e.offset}const l=this.#ee(t,null);this.#Ut(()=>(null===n?(this.#x.length>0?this.#x[this.#x.length-1].after(l):this.#t.appendChild(l),this.#x.push(l)):s?(n.after(l),this.#x.splice(this.#x.indexOf(n)+1,0,l)):(n.before(l),this.#x.splice(this.#x.indexOf(n),0,l)),{added:[l],removed:[]})),this.#U.set(e,l),this.#G.set(l,t)}#ce(t){if(null!==this.#J){const e=this.#Q.get(t)??-1;if(-1===e)return!0;const s=this.#U.get(t);if(void 0!==s&&this.#de(s))return!1;const i=this.#x[0];let n=void 0===i?0:this.#Z.get(i);return this.#J.splice(e,1),this.#Q.delete(t),this.#_t(e),e<n&&--n,this.#Ut(()=>this.#Qt(Math.min(n,Math.max(this.#J.length-1,0)))),!0}const e=this.#U.get(t);return void 0===e||!this.#x.includes(e)||!this.#de(e)&&![...this.#E].some(([t,s])=>s===e&&this.#de(t))&&(this.remove(e),!0)}#de(t){const e=this.#Bt(t).size,s=this.#Dt(t);return null!==s&&s+e>0&&s<this.#i.size}#Xt(t){if("destroyed"===this.#c)throw new exception("The hotline instance is destroyed","transition",{from:this.#c});if(null!==this.#J)throw new exception("Virtualized elements are changed only by `this.update()`","virtual",{items:this.items});if(!(t instanceof HTMLElement)||this.#E.has(t))throw new exception("The element must be an HTMLElement (not a clone)","element",{element:t})}#Ut(t){null===this.#i&&this.#dt();const e=this.#t.firstElementChild,s=new Map;let i=this.#Pt();for(const t of this.#t.children){s.set(t,i);const e=this.#Bt(t);i+=e.size+e.offset}const n=[...s.keys()],l=n.find(t=>s.get(t)+this.#Bt(t).size>0)??n[n.length-1]??null,{added:r,removed:h,moved:o=[],reused:a=[]}=t(),c=[...r,...o,...a];this.#V?.takeRecords();let u=l,d=s.get(l)??0;if(null!==l&&(l.parentElement!==this.#t||c.includes(l))){const t=n.slice(0,n.indexOf(l)).reverse().find(t=>t.parentElement===this.#t&&!c.includes(t));u=(void 0===t?this.#t.firstElementChild:t.nextElementSibling)??t??null,u===t&&void 0!==u&&(d=s.get(t))}this.#fe(e,u,d,r,h,a)}#at(t){const e=[],s=[];for(const i of t){for(const t of i.addedNodes)t instanceof HTMLElement&&t.parentElement===this.#t&&!this.#E.has(t)&&!this.#x.includes(t)&&!e.includes(t)&&e.push(t);for(const t of i.removedNodes)this.#x.includes(t)&&t.parentElement!==this.#t&&!s.includes(t)&&s.push(t)}if(0===e.length&&0===s.length)return;const i=this.#e.element??null,n=i instanceof HTMLElement&&i.parentElement===this.#t;let l="transform"===this.renderer?this.#A:n?parseFloat(i.style[this.vertical?"marginTop":"marginLeft"])||0:this.#e.position??0;if(!n&&i instanceof HTMLElement){const t=this.#i?.elements.get(i);void 0!==t&&(l+=t.size+t.offset)}const r=n?i:[...this.#t.children].find(t=>!e.includes(t))??null;this.#x=this.#x.filter(t=>!s.includes(t));for(const t of e){let e=t.nextElementSibling;for(;null!==e&&!this.#x.includes(e);)e=e.nextElementSibling;null===e?this.#x.push(t):this.#x.splice(this.#x.indexOf(e),0,t)}this.#fe(i,r,l,e,s)}#fe(t,e,s,i,n,l=[]){for(const t of n)this.#ae(t);let r=s;if(e instanceof HTMLElement&&e.parentElement===this.#t)for(const t of this.#t.children){if(t===e)break;const s=this.#i?.elements.get(t)??this.#me(t);r-=s.size+s.offset}"transform"!==this.renderer&&t instanceof HTMLElement&&t.parentElement===this.#t&&t!==this.#t.firstElementChild&&(t.style[this.vertical?"marginTop":"marginLeft"]=null),this.#pe(r),this.#e.element=this.#t.firstElementChild,this.#e.position=r,this.#ct(),this.events.get("items.changed")&&(i.length>0||n.length>0||l.length>0)&&this.#t.dispatchEvent(new CustomEvent("hotline.items.changed",{detail:{added:[...i,...l],removed:[...n,...l],items:[...this.#x]}})),this.#ht()?"idle"===this.#c&&(this.#ot("ready"),this.#Y&&this.start()):(null!==this.#d&&(this.#Y=!0,this.stop()),"ready"===this.#c&&this.#ot("idle"))}#ae(t){const e=this.#nt.styles.get(t)??{"margin-left":"","margin-top":"",transform:""};for(const s of["margin-left","margin-top","transform"])t.style.setProperty(s,e[s]);if(this.#$.has(t)&&(t.removeAttribute("aria-hidden"),this.#$.delete(t)),null!==this.#n&&this.#l.has(t)&&(this.#n.unobserve(t),this.#l.delete(t)),this.#G.has(t)){const e=this.#te(this.#G.get(t));this.#U.get(e)===t&&this.#U.delete(e),this.#G.delete(t)}this.#Z.delete(t),this.#i?.elements.delete(t)}#jt(t,e){t in this.#lt.shell||(this.#lt.shell[t]=this.#t.style.getPropertyValue(t)),this.#t.style.setProperty(t,e)}#Nt(t,e){t in this.#lt.attributes||(this.#lt.attributes[t]=this.#t.getAttribute(t)),this.#t.setAttribute(t,e)}#ot(t){const e=this.#c;if(e!==t){if(!this.#u[e]?.has(t))throw new exception(`Can not change state of the hotline instance from "${e}" to "${t}"`,"transition",{from:e,to:t});this.#c=t,null!==this.#q&&this.#q.element.setAttribute("aria-pressed",String("paused"===t)),"ready"===t&&"idle"===e&&this.events.get("ready")&&this.#t.dispatchEvent(new CustomEvent("hotline.ready")),this.events.get("statechange")&&this.#t.dispatchEvent(new CustomEvent("hotline.statechange",{detail:{from:e,to:t}}))}}#ht(){const t=(this.#t?.childElementCount??0)-this.#E.size;return t>1||this.fill&&t>0}#xt(t){"running"===this.#c&&(this.#ot("frozen"),this.events.get("move.freezed")&&this.#t.dispatchEvent(new CustomEvent("hotline.move.freezed",{detail:{event:t}})))}#Mt(t){"frozen"===this.#c&&(this.#ot("running"),this.events.get("move.unfreezed")&&this.#t.dispatchEvent(new CustomEvent("hotline.move.unfreezed",{detail:{event:t}})))}#Ht(t,e){const s=e-this.#j.timestamp;if(s>0){const e=(t-this.#j.coordinate)/s*1e3;this.#j.velocity=.2*this.#j.velocity+.8*e}this.#j.coordinate=t,this.#j.timestamp=e}#It(t,e,s){this.#P={velocity:t,initial:t,target:e,event:s},this.events.get("fling.start")&&this.#t.dispatchEvent(new CustomEvent("hotline.fling.start",{detail:{velocity:t}}))}#vt(t){if(this.move(this.#P.velocity*t/1e3),this.#P.velocity*=Math.pow(Math.min(Math.max(this.friction,0),1),t/(1e3/60)),Math.abs(this.#P.velocity)<this.#H){const t=this.#Tt();this.#Ft(t.target,t.event)}}#Tt(){const t=this.#P;return this.#P=null,this.events.get("fling.end")&&this.#t.dispatchEvent(new CustomEvent("hotline.fling.end",{detail:{velocity:t.velocity,initial:t.initial}})),t}#Ft(t,e){if(this.hover&&this.#S||this.#O||this.#Mt(e),this.snap)this.#At();else if(null!==this.magnetic){const e=this.#Vt(t);null!==e&&this.magnetize(e,this.magnetic).catch(()=>{})}}#zt(){if(null===this.#d)return;const t=!this.#h||"hidden"===document.visibilityState;t!==this.#r&&(this.#r=t,t?(cancelAnimationFrame(this.#d),this.events.get("suspended")&&this.#t.dispatchEvent(new CustomEvent("hotline.suspended"))):(this.#f=null,this.#d=requestAnimationFrame(this.#a),this.events.get("resumed")&&this.#t.dispatchEvent(new CustomEvent("hotline.resumed"))))}#Yt(){this.#F?.matches?"running"!==this.#c&&"frozen"!==this.#c||(this.#N=!0,this.pause()):this.#N&&(this.#N=!1,"paused"===this.#c&&this.resume())}#Et(){let t=this.#Pt();for(const e of this.#t.children){const s=this.#Bt(e),i=t+s.size<=0||t>=this.#i.size;t+=s.size+s.offset,this.#$.has(e)?i||(e.removeAttribute("aria-hidden"),this.#$.delete(e)):!i||this.#E.has(e)||e.hasAttribute("aria-hidden")||(e.setAttribute("aria-hidden","true"),this.#$.add(e))}}#At(){const t=this.magnetic??this.#R.beginning,e=this.#ge(t);null!==e&&this.magnetize(e,t).catch(()=>{})}#ge(t){let e=null,s=1/0;for(const i of this.#t.children){const n=this.#ve(i,t);null!==n&&Math.abs(n)<s&&(e=i,s=Math.abs(n))}return e}#Jt(t){return this.#E.get(t)??t}#Gt(t){const e=(this.#J??this.#x).length;if(0===e)return null;if("number"==typeof t&&Number.isFinite(t))return(Math.trunc(t)%e+e)%e;const s=this.#Vt(t);if(null===s)return null;const i=null===this.#J?this.#x.indexOf(this.#Jt(s)):this.#Z.get(s)??-1;return-1===i?null:i}#gt(t){const e=this.#C;e.elapsed+=t;const s=e.duration>0?Math.min(e.elapsed/e.duration,1):1,i=1===s?e.distance:e.distance*e.movement.easing(s);if(this.move(i-e.moved),e.moved=i,this.#St(),1===s){this.#C=null;const t=this.#ve(e.element,e.magnetism);null!==t&&0!==t&&Math.abs(t)<1&&this.move(-t),this.#ye(e.movement,null,e.index),this.#be()}}#be(){for(;null===this.#C&&this.#T.length>0;){const t=this.#T.shift(),e=t.route();null!==e?(this.#C={...e,movement:t,moved:0,duration:null===this.#d||this.#r?0:Math.max(parseFloat(t.duration)||0,0),elapsed:0},0===this.#C.duration&&this.#gt(0)):this.#ye(t,new exception("Not found the element in the shell","target"))}}#ye(t,e,s){null!==t.abort&&t.signal.removeEventListener("abort",t.abort),null!==e?t.reject(e):t.resolve(s)}#Lt(t){const e=[...null===this.#C?[]:[this.#C.movement],...this.#T];this.#C=null,this.#T=[];for(const s of e)this.#ye(s,new exception(t,"interrupted"))}#we(t){this.#C?.movement===t?this.#C=null:this.#T=this.#T.filter(e=>e!==t),this.#ye(t,new exception("Movement was aborted by the signal","aborted",{reason:t.signal.reason})),this.#be()}#Vt(t){let e=t,s=100;for(;e instanceof HTMLElement&&e.parentElement!==this.#t&&0!==--s;)e=e.parentElement;return e instanceof HTMLElement&&e.parentElement===this.#t?e:null}#Dt(t){let e=this.#Pt();for(const s of this.#t.children){if(s===t)return e;const i=this.#Bt(s);e+=i.size+i.offset}return null}#$t(t,e){if(!(t instanceof HTMLElement))return;const s=this.#Dt(t);if(null===s)return;const i=s+this.#Bt(t).size,n=this.#i.size;let l=0;"beginning"===e||"view"===e&&s<0?l=-s:("end"===e||"view"===e&&i>n)&&(l=n-i),0!==l&&(this.move(l),this.#St())}#qt(t){null===this.#I&&(this.#I=t().catch(()=>{}).finally(()=>this.#I=null))}#ut(t,e,s,i,n){this.#Ot(t),s=[s].flat();for(const t of s)e.addEventListener(t,i,n);this.#it.set(t,{target:e,types:s,listener:i,options:n})}#Ot(t){const e=this.#it.get(t);if("object"==typeof e){for(const t of e.types)e.target.removeEventListener(t,e.listener,e.options);this.#it.delete(t)}}#mt(){if(null!==this.#J&&this.#le(),this.#e.element=this.#t.firstElementChild,this.#e.element instanceof HTMLElement){const t=this.#Bt(this.#e.element);if(this.#e.size=t.size,this.#e.offset=t.offset,this.#e.position=this.#Pt(),this.#e.end=this.#e.position+this.#e.size+this.#e.offset,this.#e.end<0){if(!0===this.transfer&&this.#w&&null!==this.#J){const t=this.#Z.get(this.#e.element);this.#re(this.#e.element),this.#pe(this.#e.end),this.events.get("transfer.end")&&this.#t.dispatchEvent(new CustomEvent("hotline.transfer.end",{detail:{element:this.#e.element,offset:-(this.#e.size+this.#e.offset),index:t}})),null!==this.#W&&this.#Zt(1).catch(()=>{}),this.#le(),this.#e={}}else!0===this.transfer&&this.#w&&(this.#t.appendChild(this.#e.element),"transform"===this.renderer?this.#oe(this.#e.end):(this.#e.element.style[this.vertical?"marginTop":"marginLeft"]=null,this.#t.firstElementChild.style[this.vertical?"marginTop":"marginLeft"]=this.#e.end+"px"),this.events.get("transfer.end")&&this.#t.dispatchEvent(new CustomEvent("hotline.transfer.end",{detail:{element:this.#e.element,offset:-(this.#e.size+this.#e.offset),index:this.#Gt(this.#e.element)}})),null!==this.#W&&this.#Zt(1).catch(()=>{}),this.#e={});return!0}if(this.#e.position>0){if(!0===this.transfer&&this.#w&&null!==this.#J){const t=this.#J.length,e=((this.#Z.get(this.#e.element)-1)%t+t)%t,s=this.#x[this.#x.length-1];if(this.#Z.get(s)===e){if(s===this.#e.element)return!0;this.#re(s)}this.#s.element=this.#he(e),this.#t.insertBefore(this.#s.element,this.#e.element),this.#x.unshift(this.#s.element);const i=this.#Bt(this.#s.element);this.#s.size=i.size,this.#s.offset=i.offset||this.#e.offset||0,this.#s.position=this.#e.position-this.#s.size-this.#s.offset,"transform"!==this.renderer&&(this.#e.element.style[this.vertical?"marginTop":"marginLeft"]=null),this.#pe(this.#s.position),this.events.get("transfer.beginning")&&this.#t.dispatchEvent(new CustomEvent("hotline.transfer.beginning",{detail:{element:this.#s.element,offset:this.#s.size+this.#s.offset,index:e}})),this.#le(),this.#e={}}else if(!0===this.transfer&&this.#w){this.#s.element=this.#t.lastElementChild;const t=this.#Bt(this.#s.element);this.#s.size=t.size,this.#s.offset=t.offset||this.#e.offset||0,this.#s.position=this.#e.position-this.#s.size-this.#s.offset,this.#t.insertBefore(this.#s.element,this.#e.element),"transform"===this.renderer?this.#oe(this.#s.position):(this.#s.element.style[this.vertical?"marginTop":"marginLeft"]=this.#s.position+"px",this.#e.element.style[this.vertical?"marginTop":"marginLeft"]=null),this.events.get("transfer.beginning")&&this.#t.dispatchEvent(new CustomEvent("hotline.transfer.beginning",{detail:{element:this.#s.element,offset:this.#s.size+this.#s.offset,index:this.#Gt(this.#s.element)}})),this.#e={}}return!0}}return!1}#St(){if(!0!==this.transfer||!this.#w)return;let t=1e3;for(;this.#mt()&&0!==--t;);}#dt(){const t=this.#t.getBoundingClientRect();this.#i={size:this.vertical?t.height:t.width,elements:new Map};for(const t of this.#t.children)this.#Bt(t);if(this.fill&&null!==this.#d&&null===this.#J){const t=[...this.#E].filter(([,t])=>t.parentElement!==this.#t).map(([t])=>t);t.length>0&&this.#Kt(t);let e=0;for(const t of this.#t.children){if(this.#E.has(t))continue;const s=this.#Bt(t);e+=s.size+s.offset}(t.length>0||null===this.#z||this.#z.size!==this.#i.size||this.#z.length!==e)&&(this.#Ee(),this.#z={size:this.#i.size,length:e})}}#Ee(){const t=this.#x.filter(t=>t.parentElement===this.#t);if(0===t.length)return;let e=0,s=0;for(const t of this.#t.children){const i=this.#Bt(t);e+=i.size+i.offset,this.#E.has(t)||(s=Math.max(s,i.size+i.offset))}const i=this.#i.size+s;let n=1e3;for(;e>0&&e<i&&0!==--n;){const s=this.#Jt(this.#t.lastElementChild),i=t[(t.indexOf(s)+1)%t.length],n=i.cloneNode(!0);n.removeAttribute("id");for(const t of n.querySelectorAll("[id]"))t.removeAttribute("id");n.setAttribute("aria-hidden","true"),n.setAttribute("inert",""),n.style[this.vertical?"marginTop":"marginLeft"]=null,this.#t.appendChild(n),this.#E.set(n,i);const l=this.#Bt(i);this.#i.elements.set(n,l),e+=l.size+l.offset}let l=this.#Pt()+e;for(;this.#E.has(this.#t.lastElementChild);){const t=this.#t.lastElementChild,s=this.#Bt(t),n=l-s.size-s.offset;if(n<this.#i.size||e-s.size-s.offset<i)break;t.remove(),this.#E.delete(t),this.#i.elements.delete(t),e-=s.size+s.offset,l=n}}#Kt(t=[...this.#E.keys()]){let e=this.#Pt(),s=e;for(const i of[...this.#t.children]){const n=this.#Bt(i);if(t.includes(i))e+=n.size+n.offset;else if(s+n.size>0)break;s+=n.size+n.offset}for(const e of t)e.remove(),this.#E.delete(e),this.#i?.elements.delete(e);0===this.#E.size&&(this.#z=null),this.#t.firstElementChild instanceof HTMLElement&&this.#pe(e)}#Bt(t){null===this.#i&&this.#dt();let e=this.#i.elements.get(t);return void 0===e&&(e=this.#me(t),this.#i.elements.set(t,e),null===this.#n||this.#l.has(t)||this.#E.has(t)||(this.#n.observe(t),this.#l.add(t))),e}#me(t){const e=t.getBoundingClientRect(),s=getComputedStyle(t);return{size:this.vertical?e.height:e.width,offset:parseFloat(this.vertical?s.marginBottom:s.marginRight)||0}}#ct(){this.#i=null}#Pt(){return"transform"===this.renderer?this.#A:parseFloat(this.#t.firstElementChild?.style[this.vertical?"marginTop":"marginLeft"])||0}#pe(t){"transform"===this.renderer?this.#oe(t):this.#t.firstElementChild instanceof HTMLElement&&(this.#t.firstElementChild.style[this.vertical?"marginTop":"marginLeft"]=t+"px")}#oe(t){this.#A=t;const e=this.vertical?`translate3d(0, ${t}px, 0)`:`translate3d(${t}px, 0, 0)`;for(const t of this.#t.children)t.style.transform=e}#kt(t){const e=1===t.deltaMode?16:2===t.deltaMode?this.#i?.size??this.#t.getBoundingClientRect()[this.vertical?"height":"width"]:1;let s=(t.deltaX||0)*e,i=(t.deltaY||0)*e;t.shiftKey&&0===s&&([s,i]=[i,0]);const n=this.vertical?Math.abs(i)>=Math.abs(s)?i:s:Math.abs(s)>=Math.abs(i)?s:i;return 0===n?0:null===this.delta?-n:-Math.sign(n)*Math.abs(this.delta)}#pt(t){let e=this.#B*(1-Math.pow(.7,t/(1e3/60)));Math.abs(this.#B-e)<.5&&(e=this.#B),this.#B-=e,this.move(e),this.#St()}#Ct(t){if(null===this.#d)return!1;if(!0===this.transfer&&this.#w)return!0;const e=this.#Pt()+this.#B;if(t>0)return e<0;let s=0;for(const t of this.#t.children){const e=this.#Bt(t);s+=e.size+e.offset}return e+s>this.#i.size}#wt(t){if("boost"!==this.scroll||null===this.#b||t<=0)return 0;const e=Math.sign(this.#bt(1e3))||-1;if(this.#b.velocity*=Math.pow(Math.min(Math.max(this.decay,0),1),t/(1e3/60)),0!==this.#b.delta){const s=1e3*this.#b.delta/t*this.boost*e;Math.abs(s)>Math.abs(this.#b.velocity)&&(this.#b.velocity=s),this.#b.delta=0}return this.#b.velocity*t/1e3}#yt(){if(!this.#b.scrolled)return;this.#b.scrolled=!1,this.#b.delta=0;const t=this.#t.getBoundingClientRect(),e=window.innerHeight||document.documentElement.clientHeight,s=Math.min(Math.max((e-t.top)/(e+t.height||1),0),1),i=this.#b.progress;if(this.#b.progress=s,null===i||i===s)return;let n=parseFloat(this.range);if(!Number.isFinite(n)){n=0;for(const t of this.#t.children){const e=this.#Bt(t);n+=e.size+e.offset}}this.move((s-i)*n*(Math.sign(this.#bt(1e3))||-1)),this.#St()}#ft(t){let e=0;return this.#g?e=0:"running"===this.#c?e=1:"frozen"===this.#c&&null!==this.hoverSpeed&&this.#S&&null===this.#L&&!this.#O&&(e=Math.max(parseFloat(this.hoverSpeed)||0,0)),null!==this.#L||null!==this.#P||null!==this.#C?this.#p=0:this.#p<e?this.#p=this.acceleration>0?Math.min(this.#p+t/this.acceleration,e):e:this.#p>e&&(this.#p=this.deceleration>0?Math.max(this.#p-t/this.deceleration,e):e),this.#p}#bt(t){return("number"==typeof this.speed?this.speed:1e3*this.step/(this.interval||1))*t/1e3}configure(t){const e=(/^data-hotline-(\w+)$/.exec(t)??[,null])[1];if("string"==typeof e){if(this.#st.has(e))return;const s=this.#t.getAttribute(t);"magnetic"===e&&"symbol"==typeof this.magnetism[s]?this.magnetic=this.magnetism[s]:"string"==typeof s&&(this[e]="true"===s||"on"===s||"yes"===s||"false"!==s&&"off"!==s&&"no"!==s&&(parseFloat(s)||s),this.events.get("configured")&&this.#t.dispatchEvent(new CustomEvent("hotline.configured",{detail:{name:e,value:this[e]}})))}}position(t){const e=this.#Pt();return this.#e.element=this.#t.firstElementChild,this.#e.element instanceof HTMLElement?(this.#e.position=t,this.#pe(this.#e.position),this.events.get("position")&&this.#t.dispatchEvent(new CustomEvent("hotline.position",{detail:{from:e,to:t}})),t-(e||0)):null}move(t){const e=this.#Pt(),s=e+(t??this.step),i=this.position(s);return this.events.get("moving")&&document.dispatchEvent(new CustomEvent("hotline.moving",{detail:{from:e,to:s}})),i}forward(t){return this.previous(t).then(t=>(this.events.get("moved.forward")&&this.#t.dispatchEvent(new CustomEvent("hotline.moved.forward")),t))}backward(t){return this.next(t).then(t=>(this.events.get("moved.backward")&&this.#t.dispatchEvent(new CustomEvent("hotline.moved.backward")),t))}get current(){const t=this.#ge(this.magnetic??this.#R.beginning);return null===t?null:this.#Gt(t)}next(t){return this.goTo(()=>(this.current??-1)+1,t)}previous(t){return this.goTo(()=>(this.current??1)-1,t)}goTo(t,{area:e=this.magnetic??this.#R.beginning,...s}={}){const i="string"==typeof e?this.#R[e]:e;return!Object.values(this.#R).includes(i)||"function"!=typeof t&&null===this.#Gt(t)?Promise.reject(new exception("Not found the element or the magnetism area","target",{target:t,area:e})):this.#ze(()=>this.#xe("function"==typeof t?t():t,i),s)}#xe(t,e){const s=this.#Gt(t);if(null===s)return null;const i=this.#Rt(s);let n=0;for(const t of this.#t.children){const e=this.#Bt(t);n+=e.size+e.offset}let l=null,r=null;for(const t of this.#t.children){if(this.#Jt(t)!==i)continue;const s=this.#ve(t,e);for(const e of!0===this.transfer&&this.#w&&null===this.#J?[-s,n-s,-n-s]:[-s])(null===r||Math.abs(e)<Math.abs(r))&&(l=t,r=e)}return null===l?null:{element:l,magnetism:e,index:s,distance:r}}#ze(t,{duration:e=this.duration,easing:s=this.easing,signal:i=null,policy:n=this.policy}={}){const l=this.#Me(s);return null===l?Promise.reject(new exception("Not implemented easing","easing",{easing:s})):"queue"!==n&&"replace"!==n&&"ignore"!==n?Promise.reject(new exception("Not implemented policy","policy",{policy:n})):null!==i&&"function"!=typeof i?.addEventListener?Promise.reject(new exception("The signal must be an AbortSignal","signal",{signal:i})):i?.aborted?Promise.reject(new exception("Movement was aborted by the signal","aborted",{reason:i.reason})):"ignore"===n&&(null!==this.#C||this.#T.length>0)?Promise.reject(new exception("Movement was ignored: another movement is running","ignored")):new Promise((s,r)=>{const h={route:t,duration:e,easing:l,signal:i,abort:null,resolve:s,reject:r};null!==i&&(h.abort=()=>this.#we(h),i.addEventListener("abort",h.abort,{once:!0})),"replace"===n&&this.#Lt("Movement was interrupted by a new movement"),this.#T.push(h),this.#be()})}#Me(t){if("function"==typeof t)return t;if("string"!=typeof t)return null;let e=this.#M.get(t);if(void 0===e){const s=/^cubic-bezier\(([^)]+)\)$/.exec(t.trim())?.[1].split(",").map(parseFloat)??[];if(4!==s.length||s.some(t=>!Number.isFinite(t))||s[0]<0||s[0]>1||s[2]<0||s[2]>1)return null;e=this.#k(...s),this.#M.set(t,e)}return e}#k(t,e,s,i){const n=(t,e,s)=>3*(1-t)**2*t*e+3*(1-t)*t**2*s+t**3;return l=>{let r=0,h=1,o=l;for(let e=0;e<30;e++){const e=n(o,t,s);if(Math.abs(e-l)<1e-6)break;e<l?r=o:h=o,o=(r+h)/2}return n(o,e,i)}}magnetize(t,e,s){return null===this.#ve(t,e)?Promise.reject(new exception("Not found the element in the shell or the magnetism area","target",{target:t,area:e})):this.#ze(()=>{const s=this.#ve(t,e);return null===s?null:{element:t,magnetism:e,index:this.#Gt(t),distance:-s}},s).then(()=>(this.events.get("magnetized")&&this.#t.dispatchEvent(new CustomEvent("hotline.magnetized",{detail:{magnetism:e}})),e))}#ve(t,e){if(!(t instanceof HTMLElement))return null;const s=this.#Dt(t);if(null===s)return null;const i=this.#Bt(t).size,n=this.#i.size;switch(e){case this.#R.beginning:return s-this.#ke("beginning");case this.#R.center:return s+i/2-(n/2+this.#ke("center"));case this.#R.end:return s+i-(n-this.#ke("end"));default:return null}}#ke(t){return parseFloat("object"==typeof this.padding?this.padding?.[t]:this.padding)||0}static group(t,{leader:e=t?.[0],freeze:s=!0,mirror:i=!1,ratio:n=1,opposite:l=!1,follow:r=!1}={}){const h=[...t??[]];if(h.length<2||h.some(t=>!(t instanceof hotline))||!h.includes(e))throw new exception("The group requires at least 2 hotline instances including the leader","group",{instances:t,leader:e});const o=h.filter(t=>t!==e),a=new Map,c=new Map,u=(t,e,s)=>{c.set(t,{...c.get(t),[e]:t.events.get(e)}),t.events.set(e,!0),a.set(t,{...a.get(t),["hotline."+e]:s}),t.#t.addEventListener("hotline."+e,s)};if(s){let t=!1;for(const e of h)u(e,"statechange",s=>{if(t)return;const{from:i,to:n}=s.detail;t=!0;for(const t of h)t!==e&&("frozen"===n?t.#xt(s):"paused"!==n||"running"!==t.#c&&"frozen"!==t.#c?"running"===n&&"paused"===i&&"paused"===t.#c?t.resume():"running"!==n||"frozen"!==i||null!==t.#L||null!==t.#P||t.#O||t.hover&&t.#S||t.#Mt(s):t.pause());t=!1})}if(i||r){let t=null;u(e,"position",s=>{if(i){const t=s.detail.to-(s.detail.from||0);for(const e of o)0!==t&&e.move(t*n*(l?-1:1))}if(r){const s=e.current;if(null!==s&&s!==t){t=s;for(const t of o)t.goTo(s,{policy:"replace"}).catch(()=>{})}}})}return{instances:h,leader:e,disconnect(){for(const[t,e]of a)for(const s in e)t.#t.removeEventListener(s,e[s]);for(const[t,e]of c)for(const s in e)t.events.set(s,e[s]);a.clear(),c.clear()}}}static preprocessing(t=!1,e=!1){const s=new Set;for(const t of document.querySelectorAll('*[data-hotline="true"]')){const i=new this(t,e);for(const e of t.getAttributeNames())i.configure(e);try{i.start()}catch{0}s.add(i)}return t&&document.dispatchEvent(new CustomEvent("hotline.preprocessed"),{detail:{generated:s}}),s}}export class exception extends Error{name="HotlineException";code;detail;constructor(t,e,s={}){super(t),this.code=e,this.detail=s}}
@@ -43,10 +43,10 @@ export class hotline {
 	 *
 	 * @type {object}
 	 * @property {HTMLElement} element
-	 * @property {DOMRect} rectangle Result of `getBoundingClientRect()`
+	 * @property {number} size Width or height (from the layout model)
 	 * @property {number} position Margin (px) from the left or the top (movement)
 	 * @property {number} offset Margin (px) from the right or the bottom (gap betweem elements)
-	 * @property {number} end Coordinate of the element end (rectangle[(x|y)] + rectangle[(width|height)] + offset)
+	 * @property {number} end Coordinate of the element end relative to the shell (position + size + offset)
 	 *
 	 * @protected
 	 */
@@ -61,1711 +61,7878 @@ export class hotline {
 	 *
 	 * @type {object}
 	 * @property {HTMLElement} element
-	 * @property {DOMRect} rectangle Result of `getBoundingClientRect()`
+	 * @property {number} size Width or height (from the layout model)
 	 * @property {number} position Margin (px) from the left or the top (movement)
 	 * @property {number} offset Margin (px) from the right or the bottom (gap betweem elements)
-	 * @property {number} end Coordinate of the element end (rectangle[(x|y)] + rectangle[(width|height)] + offset)
+	 * @property {number} end Coordinate of the element end relative to the shell (position + size + offset)
 	 *
 	 * @protected
 	 */
 	#last = {};
 
 	/**
-	 * @name Status
+	 * @name Layout
 	 *
 	 * @description
-	 * Indicator of the current state of the hotline instance.
-	 * Can contain values: "ready", "started", "stopped".
+	 * Cached geometry of `this.#shell` and its elements
 	 *
-	 * @type {(string[]|null)}
+	 * The process reads sizes only from here, so there are no forced layout reads in every frame.
+	 * Reinitialized (null) by `this.#resizer`, fonts loading and images loading.
+	 *
+	 * @type {(object|null)}
+	 * @property {number} size Width or height of the shell
+	 * @property {Map} elements Shapes of elements (HTMLElement => { size, offset })
 	 *
 	 * @protected
 	 */
-	#status = null;
+	#layout = null;
 
 	/**
-	 * @name Process
+	 * @name Resizer
 	 *
 	 * @description
-	 * Process of moving elements and handling events.
-	 *
-	 * Contains identifier from setInterval().
+	 * Observer of `this.#shell` and its elements sizes (invalidates `this.#layout`)
 	 *
-	 * @type {(number|null)}
+	 * @type {(ResizeObserver|null)}
 	 *
 	 * @protected
 	 */
-	#process = null;
+	#resizer = null;
 
 	/**
-	 * @name Interval
+	 * @name Observed
 	 *
 	 * @description
-	 * Time period between executions of `this.#process` in setInterval().
+	 * Registry of elements observed by `this.#resizer`
 	 *
-	 * This greatly affects the experience. Try setting the value to 5, then 0, and then 20.
-	 * I recommend not to ignore this property and change it depending on the type of use.
+	 * @type {WeakSet}
 	 *
-	 * `this.interval = 10` with `this.step = 1` is equal to `this.interval = 5` with `this.step = 2`
-	 * But the difference in performance between them is two times!
+	 * @protected
+	 */
+	#observed = new WeakSet();
+
+	/**
+	 * @name Suspend
 	 *
-	 * @type {number}
+	 * @description
+	 * Suspend the process while `this.#shell` is outside the viewport or the page is hidden?
+	 *
+	 * The process is resumed from the same position when the shell becomes visible again.
+	 *
+	 * @type {boolean}
 	 *
 	 * @public
 	 */
-	interval = 10;
+	suspend = true;
 
 	/**
-	 * @name Alive
+	 * @name Suspended
 	 *
 	 * @description
-	 * Will elements move by themselves?
+	 * Is the process suspended (the shell is outside the viewport or the page is hidden)?
 	 *
 	 * @type {boolean}
 	 *
-	 * @public
+	 * @protected
 	 */
-	alive = true;
+	#suspended = false;
 
 	/**
-	 * @name Freezed
+	 * @name Intersecting
 	 *
 	 * @description
-	 * Freezed movement of elements by themselves?
-	 *
-	 * This property is used by the system to block the movement of elements at runtime.
-	 * For example, when hovering the mouse cursor.
+	 * Is `this.#shell` inside the viewport?
 	 *
 	 * @type {boolean}
 	 *
 	 * @protected
 	 */
-	#freezed = false;
+	#intersecting = true;
 
 	/**
-	 * @name Moving
+	 * @name Intersector
 	 *
 	 * @description
-	 * Is the hotline instance currently moving by the user?
+	 * Observer of `this.#shell` intersection with the viewport
 	 *
-	 * Contain true while handling "onmousemove" or "ontouchmove" events
+	 * @type {(IntersectionObserver|null)}
 	 *
-	 * @type {boolean}
+	 * @protected
+	 */
+	#intersector = null;
+
+	/**
+	 * @name Frame
+	 *
+	 * @description
+	 * Frame of the process (executed by requestAnimationFrame())
+	 *
+	 * @type {(function|null)}
 	 *
 	 * @protected
 	 */
-	#moving = "false";
+	#frame = null;
 
 	/**
-	 * @name Moving (get)
+	 * @name Status
 	 *
 	 * @description
-	 * Getter for `this.#moving`
+	 * Indicator of the current state of the hotline instance.
 	 *
-	 * @return {boolean}
+	 * "idle": not enough elements in the shell
+	 * "ready": ready to start
+	 * "running": started, elements are moving by themselves
+	 * "paused": started, movement of elements by themselves is paused by `this.pause()`
+	 * "frozen": started, movement of elements by themselves is frozen by the user (hover, drag)
+	 * "destroyed": destroyed by `this.destroy()`, can not be started again
 	 *
-	 * @public
+	 * Changed only through `this.#transit()`.
+	 *
+	 * @type {string}
+	 *
+	 * @protected
 	 */
-	get moving() {
-		return this.#moving;
-	}
+	#status = "idle";
 
 	/**
-	 * @name Movable
+	 * @name Status (get)
 	 *
 	 * @description
-	 * Can the user move elements by mouse and touches?
+	 * Getter for `this.#status`
 	 *
-	 * @type {boolean}
+	 * @return {string}
 	 *
 	 * @public
 	 */
-	movable = true;
+	get status() {
+		return this.#status;
+	}
 
 	/**
-	 * @name Wheel
+	 * @name Transitions
 	 *
 	 * @description
-	 * Can the user move elements by mouse wheel?
+	 * Registry of allowed transitions between states (`this.#status`)
 	 *
-	 * @type {boolean}
-	 * @public
+	 * This is a system constant that is not overwritten in the code.
+	 *
+	 * @type {object}
+	 *
+	 * @protected
 	 */
-	wheel = false;
+	#transitions = Object.freeze({
+		idle: new Set(["ready", "destroyed"]),
+		ready: new Set(["idle", "running", "destroyed"]),
+		running: new Set(["ready", "paused", "frozen", "destroyed"]),
+		paused: new Set(["ready", "running", "destroyed"]),
+		frozen: new Set(["ready", "running", "paused", "destroyed"]),
+		destroyed: new Set()
+	});
 
 	/**
-	 * @name Delta
+	 * @name Process
 	 *
 	 * @description
-	 * Delta offset of the position when processing the "wheel" event.
+	 * Process of moving elements and handling events.
 	 *
-	 * If the value is null, "event.wheelDelta" will be used.
-	 * If the value is zero, then you are an insane maniac.
+	 * Contains identifier from requestAnimationFrame().
 	 *
-	 * {@link https://git.mirzaev.sexy/mirzaev/hotline.mjs/issues/5}
+	 * @type {(number|null)}
+	 *
+	 * @protected
+	 */
+	#process = null;
+
+	/**
+	 * @name Timestamp
+	 *
+	 * @description
+	 * Time (ms) of the previous execution of `this.#process`
+	 *
+	 * Used to scale the movement by real elapsed time between frames.
 	 *
 	 * @type {(number|null)}
 	 *
-	 * @public
+	 * @protected
 	 */
-	delta = 30;
+	#timestamp = null;
 
 	/**
-	 * @name Button
+	 * @name Lapse
 	 *
 	 * @description
-	 * Identifier of the mouse button that will perform the movement.
+	 * Maximum time (ms) between frames that will be taken into account
 	 *
-	 * 0: Main button pressed, usually the left button or the un-initialized state
-	 * 1: Auxiliary button pressed, usually the wheel button or the middle button (if present)
-	 * 2: Secondary button pressed, usually the right button
-	 * 3: Fourth button, typically the Browser Back button
-	 * 4: Fifth button, typically the Browser Forward button
+	 * Browsers throttle frames in background tabs, so without this limit
+	 * the elements would jump forward after returning to the tab.
 	 *
-	 * {@link https://developer.mozilla.org/en-US/docs/Web/API/MouseEvent/button}
+	 * This is a system constant that is not overwritten in the code.
 	 *
 	 * @type {number}
 	 *
-	 * @public
+	 * @protected
 	 */
-	button = 0;
+	#lapse = 100;
 
 	/**
-	 * @name Hover
+	 * @name Speed
 	 *
 	 * @description
-	 * Freeze movement on mouse hover?
+	 * Direction and speed of movement (px per second)
+	 * To move in the opposite direction, invert the number.
 	 *
-	 * @type {boolean}
+	 * The movement is scaled by real elapsed time between frames,
+	 * so the speed does not depend on the device load or the timer jitter.
+	 *
+	 * If the value is null, the speed will be calculated from `this.step` and `this.interval` (compatibility mode)
+	 *
+	 * @type {(number|null)}
 	 *
 	 * @public
 	 */
-	hover = true;
+	speed = null;
 
 	/**
-	 * @name Step
+	 * @name Acceleration
 	 *
 	 * @description
-	 * Direction and speed of movement.
-	 * To move in the opposite direction, invert the number.
+	 * Time (ms) of increasing speed from zero to `this.speed` (starting, unfreezing, resuming)
 	 *
-	 * It should be configured at the same time as `this.interval`!
+	 * 0 - at once
 	 *
-	 * Setting `this.interval = 10` with `this.step = 1` is equal to `this.interval = 5` with `this.step = 2`.
-	 * But the difference in performance between them is two times!
+	 * @type {number}
+	 *
+	 * @public
+	 */
+	acceleration = 0;
+
+	/**
+	 * @name Deceleration
 	 *
-	 * Setting the value to `float` will result in "lagging" at a slow speed.
+	 * @description
+	 * Time (ms) of decreasing speed from `this.speed` to zero (stopping, freezing, pausing)
+	 *
+	 * 0 - at once
 	 *
 	 * @type {number}
 	 *
 	 * @public
 	 */
-	step = 1;
+	deceleration = 0;
 
 	/**
-	 * @name Transfer
+	 * @name Hover speed
 	 *
 	 * @description
-	 * Allowed to transfer elements from one end to another?
+	 * Multiplier of `this.speed` while the user cursor is over the shell (with `this.hover`)
 	 *
-	 * @type {boolean}
+	 * For example, 0.2 is 20% of the speed (the state is still "frozen", but elements are moving slowly).
+	 * If the value is null, elements will be stopped.
+	 *
+	 * @type {(number|null)}
 	 *
 	 * @public
 	 */
-	transfer = true;
+	hoverSpeed = null;
 
 	/**
-	 * @name Transfer
+	 * @name Throttle
 	 *
 	 * @description
-	 * Allowed to transfer elements from one end to another?
+	 * The current multiplier of `this.speed` (changed smoothly by `this.acceleration` and `this.deceleration`)
 	 *
-	 * Blocks transfer even if `this.transfer === true`
+	 * @type {number}
 	 *
-	 * This is a system constant that is not overwritten in the code.
+	 * @protected
+	 */
+	#throttle = 0;
+
+	/**
+	 * @name Stopping
+	 *
+	 * @description
+	 * Is the process smoothly stopping (`this.stop(true)`)?
 	 *
 	 * @type {boolean}
 	 *
 	 * @protected
 	 */
-	#transfer = true;
+	#stopping = false;
 
 	/**
-	 * @name Sticky
+	 * @name Interval
 	 *
 	 * @description
-	 * Do not remove `mousemove` event listener when mouse moves out from `this.#shell`?
+	 * Time period (ms) for which elements are moved by `this.step` (compatibility mode)
 	 *
-	 * Used to fix a bug where if you click on an element ("mousedown")
-	 * and move the cursor outside `this.#shell` element, the functions
-	 * for moving elements will not be removed from the "mousemove" listener.
-	 * Clicking again to dispatch "mouseup" event does not work.
+	 * Used only when `this.speed === null`.
 	 *
-	 * Another fix is `this.#shell.addEventListener("mouseleave", leaved)`.
-	 * But `sticky === true` is still very problematic.
+	 * `this.interval = 10` with `this.step = 1` is equal to `this.interval = 5` with `this.step = 2`
+	 * and is equal to `this.speed = 100`.
 	 *
-	 * {@link https://git.mirzaev.sexy/mirzaev/hotline.mjs/issues/7}
+	 * @type {number}
+	 *
+	 * @public
+	 */
+	interval = 10;
+
+	/**
+	 * @name Alive
+	 *
+	 * @description
+	 * Will elements move by themselves?
 	 *
 	 * @type {boolean}
 	 *
 	 * @public
 	 */
-	sticky = false;
+	alive = true;
 
 	/**
-	 * @name Magnetism
+	 * @name Moving
 	 *
 	 * @description
-	 * Types of areas in which the target element will be magnetized
+	 * Is the hotline instance currently moving by the user?
 	 *
-	 * @type {object}
+	 * Contain true while handling "pointermove" events after the pointer passed `this.threshold`.
+	 * Until then, pressing is considered a click.
 	 *
-	 * @typedef magnetism
-	 * @param {symbol} beginning
-	 * @param {symbol} center
-	 * @param {symbol} end
+	 * @type {boolean}
 	 *
 	 * @protected
 	 */
-	#magnetism = Object.freeze({
-		beginning: Symbol("beginning"),
-		center: Symbol("center"),
-		end: Symbol("end")
-	});
+	#moving = false;
 
 	/**
-	 * @name Magnetism (get)
+	 * @name Threshold
 	 *
 	 * @description
-	 * Getter for `this.#magnetism`
+	 * Distance (px) that the pointer must pass before elements start moving by the user
 	 *
-	 * @return {magnetism}
+	 * Shorter movements are considered clicks, so links inside elements stay usable.
+	 * After a longer movement, the following click is suppressed.
+	 *
+	 * @type {number}
 	 *
 	 * @public
 	 */
-	get magnetism() {
-		return this.#magnetism;
-	}
+	threshold = 5;
 
 	/**
-	 * @name Magnetic
+	 * @name Dragged
 	 *
 	 * @description
-	 * The area in which the target element will be magnetized
+	 * Time (ms) when the user ended moving elements (the following click will be suppressed)
 	 *
-	 * @type {(magnetism.<symbol>|null)}
+	 * @type {(number|null)}
 	 *
-	 * @public
+	 * @protected
 	 */
-	magnetic = null;
+	#dragged = null;
 
 	/**
-	 * @name Magnet
+	 * @name Moving (get)
 	 *
 	 * @description
-	 * The power of magnetism (otherwise `this.step` will be used)
+	 * Getter for `this.#moving`
 	 *
-	 * Unlike `this.step`, this value must be a positive integer (natural), that is, it does not affect the direction
+	 * Is the user moving elements now (the pointer passed `this.threshold`)?
 	 *
-	 * @type {number}
+	 * @return {boolean}
 	 *
 	 * @public
 	 */
-	magnet = 1;
+	get moving() {
+		return this.#moving;
+	}
 
 	/**
-	 * @name Vertical
+	 * @name Movable
 	 *
 	 * @description
-	 * The hotline instance moves vertically?
+	 * Can the user move elements by mouse, touches and pens?
 	 *
 	 * @type {boolean}
 	 *
 	 * @public
 	 */
-	vertical = false;
+	movable = true;
 
 	/**
-	 * @name Observe
+	 * @name Scroll
 	 *
 	 * @description
-	 * Create an observer to change public properties when "data-hotline-*" attributes change?
+	 * Link movement of elements with scrolling of the page
 	 *
-	 * @type {boolean}
+	 * "boost": velocity of scrolling is added to `this.speed` (scrolling back reverses elements)
+	 * "scrub": progress of `this.#shell` through the viewport is mapped to position of elements (`this.range`),
+	 * elements are not moved by themselves
+	 *
+	 * null - not linked
+	 *
+	 * @type {(string|null)}
 	 *
 	 * @public
 	 */
-	observe = false;
+	scroll = null;
 
 	/**
-	 * @name Observer
+	 * @name Boost
 	 *
 	 * @description
-	 * Contains an observer instance that allows editing the properties of the hotline instance.
-	 * by changing the value of `this.#shell` attributes.
-	 *
-	 * Works only when `this.observe === true`.
+	 * Multiplier of velocity of scrolling of the page added to `this.speed` (`this.scroll = "boost"`)
 	 *
-	 * @type {(MutationObserver|null)}
+	 * @type {number}
 	 *
-	 * @protected
+	 * @public
 	 */
-	#observer = null;
+	boost = 1;
 
 	/**
-	 * @name Events
+	 * @name Decay
 	 *
 	 * @description
-	 * Registry of events that will be dispatched
-	 *
-	 * Events "transfer.beginning" and "transfer.end" used for elements transfers!
-	 * Set `false` only when `this.movable === false`, otherwise there will be errors when calculating coordinates!
-	 *
-	 * Events dispatch by the shell element (`this.#shell`)
-	 * Events have the form: "hotline.*" ("hotline.moved.forward", "hotline.stopped")
+	 * Multiplier of the added velocity for every 1/60 second after scrolling (from 0 to 1)
 	 *
-	 * @type {Map}
+	 * @type {number}
 	 *
 	 * @public
 	 */
-	events = new Map([
-		["ready", false],
-		["started", false],
-		["stopped", false],
-		["configured", false],
-		["move", false],
-		["move.mouse", false],
-		["move.touch", false],
-		["move.freezed", false],
-		["move.unfreezed", false],
-		["moved.forward", false],
-		["moved.backward", false],
-		["offset", false],
-		["transfer.beginning", true],
-		["transfer.end", true],
-		["observer.started", false],
-		["observer.stopped", false]
-	]);
+	decay = 0.9;
 
 	/**
-	 * @name Ignored
+	 * @name Range
 	 *
 	 * @description
-	 * Registry of properties (by "data-hotline-*" attributes)
-	 * that will be ignored by the preprocessor
+	 * Distance (px) of movement while `this.#shell` passes through the viewport (`this.scroll = "scrub"`)
 	 *
-	 * @type {Set}
+	 * If the value is null, the length of elements will be used (one loop).
 	 *
-	 * @protected
+	 * @type {(number|null)}
+	 *
+	 * @public
 	 */
-	#ignored = new Set(["events"]);
+	range = null;
 
 	/**
-	 * @name Listeners
+	 * @name Page
 	 *
 	 * @description
-	 * Registry of event listeners
+	 * Scrolling of the page (`this.scroll`)
 	 *
-	 * @type {Map}
+	 * @type {(object|null)}
+	 * @property {number} position The last scroll position of the page (px)
+	 * @property {number} delta Distance (px) of scrolling since the previous frame
+	 * @property {number} velocity Velocity (px per second) added to `this.speed`
+	 * @property {(number|null)} progress Progress of `this.#shell` through the viewport (from 0 to 1)
+	 * @property {boolean} scrolled Was the page scrolled since the previous frame?
 	 *
 	 * @protected
 	 */
-	#listeners = new Map();
+	#page = null;
 
 	/**
-	 * @name Constructor
+	 * @name Wheel
+	 *
+	 * @description
+	 * Can the user move elements by mouse wheel?
+	 *
+	 * @type {boolean}
+	 * @public
+	 */
+	wheel = false;
+
+	/**
+	 * @name Delta
+	 *
+	 * @description
+	 * Delta offset of the position when processing the "wheel" event.
+	 *
+	 * If the value is a number, elements are moved by it at once for every "wheel" event (in the direction of the wheel).
+	 * If the value is null, "event.deltaX" and "event.deltaY" will be used (normalized to pixels by "event.deltaMode")
+	 * and accumulated, so elements are moved smoothly and trackpads move elements exactly with fingers.
+	 * If the value is zero, then you are an insane maniac.
+	 *
+	 * {@link https://git.mirzaev.sexy/mirzaev/hotline.mjs/issues/5}
+	 *
+	 * @type {(number|null)}
+	 *
+	 * @public
+	 */
+	delta = 30;
+
+	/**
+	 * @name Consume
+	 *
+	 * @description
+	 * Prevent scrolling of the page by the wheel while elements can be moved by it?
+	 *
+	 * Scrolling of the page is not prevented when elements can not be moved in the direction of the wheel
+	 * (without `this.transfer`, at the beginning or at the end of elements).
+	 *
+	 * @type {boolean}
+	 *
+	 * @public
+	 */
+	consume = false;
+
+	/**
+	 * @name Button
+	 *
+	 * @description
+	 * Identifier of the mouse button that will perform the movement.
+	 *
+	 * 0: Main button pressed, usually the left button or the un-initialized state
+	 * 1: Auxiliary button pressed, usually the wheel button or the middle button (if present)
+	 * 2: Secondary button pressed, usually the right button
+	 * 3: Fourth button, typically the Browser Back button
+	 * 4: Fifth button, typically the Browser Forward button
+	 *
+	 * Only the mouse is filtered, touches and pens always perform the movement.
+	 *
+	 * {@link https://developer.mozilla.org/en-US/docs/Web/API/MouseEvent/button}
+	 *
+	 * @type {number}
+	 *
+	 * @public
+	 */
+	button = 0;
+
+	/**
+	 * @name Hover
+	 *
+	 * @description
+	 * Freeze movement on mouse hover?
+	 *
+	 * @type {boolean}
+	 *
+	 * @public
+	 */
+	hover = true;
+
+	/**
+	 * @name Step
+	 *
+	 * @description
+	 * Direction and speed of movement (px per `this.interval`) (compatibility mode)
+	 * To move in the opposite direction, invert the number.
+	 *
+	 * Used only when `this.speed === null`.
+	 * It should be configured at the same time as `this.interval`!
+	 *
+	 * Setting `this.interval = 10` with `this.step = 1` is equal to `this.interval = 5` with `this.step = 2`.
+	 * Fractional values are allowed, movement stays smooth at a slow speed.
+	 *
+	 * @type {number}
+	 *
+	 * @public
+	 */
+	step = 1;
+
+	/**
+	 * @name Transfer
+	 *
+	 * @description
+	 * Allowed to transfer elements from one end to another?
+	 *
+	 * @type {boolean}
+	 *
+	 * @public
+	 */
+	transfer = true;
+
+	/**
+	 * @name Transfer
+	 *
+	 * @description
+	 * Allowed to transfer elements from one end to another?
+	 *
+	 * Blocks transfer even if `this.transfer === true`
+	 *
+	 * This is a system constant that is not overwritten in the code.
+	 *
+	 * @type {boolean}
+	 *
+	 * @protected
+	 */
+	#transfer = true;
+
+	/**
+	 * @name Fill
+	 *
+	 * @description
+	 * Clone elements until they cover the shell plus one element?
+	 *
+	 * Used to loop short lines without an empty gap before elements come back around.
+	 * Clones are hidden from assistive technologies (`aria-hidden` and `inert`),
+	 * regenerated when the shell or elements are resized and removed when the hotline instance stops.
+	 *
+	 * @type {boolean}
+	 *
+	 * @public
+	 */
+	fill = false;
+
+	/**
+	 * @name Clones
+	 *
+	 * @description
+	 * Registry of elements generated by `this.fill` (clone => source element)
+	 *
+	 * @type {Map}
+	 *
+	 * @protected
+	 */
+	#clones = new Map();
+
+	/**
+	 * @name Filled
+	 *
+	 * @description
+	 * Size of the shell and length of source elements when clones were generated (`this.fill`)
+	 *
+	 * Clones are generated again only when one of them is changed.
+	 *
+	 * @type {(object|null)}
+	 * @property {number} size Size of the shell
+	 * @property {number} length Length of source elements with their separators
+	 *
+	 * @protected
+	 */
+	#filled = null;
+
+	/**
+	 * @name Items
+	 *
+	 * @description
+	 * Elements in the logical order (indexes are not changed by transfers, clones are not included)
+	 *
+	 * @type {Array}
+	 *
+	 * @protected
+	 */
+	#items = [];
+
+	/**
+	 * @name Duration
+	 *
+	 * @description
+	 * Duration (ms) of movement by `this.goTo()` and `this.magnetize()`
+	 *
+	 * @type {number}
+	 *
+	 * @public
+	 */
+	duration = 300;
+
+	/**
+	 * @name Easing
+	 *
+	 * @description
+	 * Easing of movement by `this.goTo()` and `this.magnetize()`
+	 *
+	 * "linear", "ease-in-out", "cubic", "spring", "cubic-bezier(x1, y1, x2, y2)"
+	 * or a function that receives progress of time and returns progress of movement (from 0 to 1)
+	 *
+	 * @type {(string|function)}
+	 *
+	 * @public
+	 */
+	easing = "ease-in-out";
+
+	/**
+	 * @name Curves
+	 *
+	 * @description
+	 * Registry of easing functions (name or "cubic-bezier()" => function)
+	 *
+	 * @type {Map}
+	 *
+	 * @protected
+	 */
+	#curves = new Map([
+		["linear", (progress) => progress],
+		["ease-in-out", this.#bezier(0.42, 0, 0.58, 1)],
+		["cubic", (progress) =>
+			progress < 0.5 ? 4 * progress ** 3 : 1 - (-2 * progress + 2) ** 3 / 2],
+		[
+			"spring",
+			(progress) =>
+				1 - Math.exp(-6 * progress) * Math.cos(3 * Math.PI * progress)
+		]
+	]);
+
+	/**
+	 * @name Animation
+	 *
+	 * @description
+	 * The running movement by `this.goTo()` and `this.magnetize()` (executed in every frame of the process)
+	 *
+	 * @type {(object|null)}
+	 * @property {object} movement The movement (from `this.#queue`)
+	 * @property {HTMLElement} element The element that will be moved to the area
+	 * @property {magnetism.<symbol>} magnetism The area
+	 * @property {(number|null)} index Logical index of the element
+	 * @property {number} distance Distance (px) of movement
+	 * @property {number} moved Distance (px) that was passed
+	 * @property {number} duration Duration (ms) of movement
+	 * @property {number} elapsed Time (ms) elapsed since the beginning of movement
+	 *
+	 * @protected
+	 */
+	#animation = null;
+
+	/**
+	 * @name Queue
+	 *
+	 * @description
+	 * Movements by `this.goTo()` and `this.magnetize()` waiting for the running movement (`this.policy`)
+	 *
+	 * @type {Array}
+	 *
+	 * @protected
+	 */
+	#queue = [];
+
+	/**
+	 * @name Policy
+	 *
+	 * @description
+	 * What to do with a new movement (`this.goTo()`, `this.magnetize()`) while another one is running?
+	 *
+	 * "queue": start after the running and queued movements
+	 * "replace": interrupt the running and queued movements (their Promises will be rejected)
+	 * "ignore": reject the new movement
+	 *
+	 * @type {string}
+	 *
+	 * @public
+	 */
+	policy = "replace";
+
+	/**
+	 * @name Sticky
+	 *
+	 * @description
+	 * Do not remove `mousemove` event listener when mouse moves out from `this.#shell`?
+	 *
+	 * Not used anymore: elements are moved with Pointer Events and the pointer is captured by `this.#shell`,
+	 * so moving always ends when the pointer is released, wherever it is.
+	 * Left for compatibility.
+	 *
+	 * {@link https://git.mirzaev.sexy/mirzaev/hotline.mjs/issues/7}
+	 *
+	 * @deprecated
+	 *
+	 * @type {boolean}
+	 *
+	 * @public
+	 */
+	sticky = false;
+
+	/**
+	 * @name Pointer
+	 *
+	 * @description
+	 * Identifier of the pointer that moves elements (captured by `this.#shell`)
+	 *
+	 * @type {(number|null)}
+	 *
+	 * @protected
+	 */
+	#pointer = null;
+
+	/**
+	 * @name Hovered
+	 *
+	 * @description
+	 * Is the user cursor over `this.#shell`?
+	 *
+	 * @type {boolean}
+	 *
+	 * @protected
+	 */
+	#hovered = false;
+
+	/**
+	 * @name Renderer
+	 *
+	 * @description
+	 * Method of moving elements
+	 *
+	 * "margin": writing `margin-left` or `margin-top` of the first element (legacy, recalculates the layout)
+	 * "transform": writing `transform: translate3d()` of all elements (GPU-friendly)
+	 *
+	 * With "transform" renderer, your own `transform` of elements will be overwritten.
+	 *
+	 * @type {string}
+	 *
+	 * @public
+	 */
+	renderer = "margin";
+
+	/**
+	 * @name Translation
+	 *
+	 * @description
+	 * Position of elements (px) written by the transform renderer
+	 *
+	 * @type {number}
+	 *
+	 * @protected
+	 */
+	#translation = 0;
+
+	/**
+	 * @name Inertia
+	 *
+	 * @description
+	 * Keep moving elements after they were thrown by the user (mouse, touch, pen)?
+	 *
+	 * Elements glide with decreasing velocity (`this.friction`), after that
+	 * they are released to move by themselves or to be magnetized (`this.magnetic`).
+	 *
+	 * @type {boolean}
+	 *
+	 * @public
+	 */
+	inertia = false;
+
+	/**
+	 * @name Friction
+	 *
+	 * @description
+	 * Multiplier of the inertial movement velocity for every 1/60 second (from 0 to 1)
+	 *
+	 * The closer to 1, the longer elements glide.
+	 *
+	 * @type {number}
+	 *
+	 * @public
+	 */
+	friction = 0.95;
+
+	/**
+	 * @name Tracker
+	 *
+	 * @description
+	 * Tracker of the velocity of elements moved by the user
+	 *
+	 * @type {object}
+	 * @property {number} velocity Velocity (px per second), smoothed
+	 * @property {number} coordinate The last coordinate of the pointer
+	 * @property {number} timestamp Time (ms) of the last movement of the pointer
+	 *
+	 * @protected
+	 */
+	#tracker = { velocity: 0, coordinate: 0, timestamp: 0 };
+
+	/**
+	 * @name Fling
+	 *
+	 * @description
+	 * The inertial movement of elements
+	 *
+	 * @type {(object|null)}
+	 * @property {number} velocity The current velocity (px per second)
+	 * @property {number} initial The initial velocity (px per second)
+	 * @property {(HTMLElement|null)} target The element moved by the user
+	 * @property {Event} event The event that ended the movement by the user
+	 *
+	 * @protected
+	 */
+	#fling = null;
+
+	/**
+	 * @name Stillness
+	 *
+	 * @description
+	 * Velocity (px per second) below which elements are considered still
+	 *
+	 * This is a system constant that is not overwritten in the code.
+	 *
+	 * @type {number}
+	 *
+	 * @protected
+	 */
+	#stillness = 20;
+
+	/**
+	 * @name Keyboard
+	 *
+	 * @description
+	 * Can the user move elements by keyboard?
+	 *
+	 * Left and Right (or Up and Down with `this.vertical`): the previous or the next element
+	 * Home and End: the first or the last element (by the initial order)
+	 * PageUp and PageDown: the previous or the next page
+	 *
+	 * Keys are handled when `this.#shell` or its content is focused
+	 * (the shell is written into the sequential keyboard navigation, if it is not there).
+	 *
+	 * @type {boolean}
+	 *
+	 * @public
+	 */
+	keyboard = false;
+
+	/**
+	 * @name Focus
+	 *
+	 * @description
+	 * Freeze and bring the element fully into view when its content receives keyboard focus?
+	 *
+	 * @type {boolean}
+	 *
+	 * @public
+	 */
+	focus = true;
+
+	/**
+	 * @name Focused
+	 *
+	 * @description
+	 * Is content of elements focused by the keyboard?
+	 *
+	 * @type {boolean}
+	 *
+	 * @protected
+	 */
+	#focused = false;
+
+	/**
+	 * @name Navigation
+	 *
+	 * @description
+	 * Movement by the user keyboard that is not completed yet
+	 *
+	 * @type {(Promise|null)}
+	 *
+	 * @protected
+	 */
+	#navigation = null;
+
+	/**
+	 * @name Reduce
+	 *
+	 * @description
+	 * Pause movement of elements by themselves when the user prefers reduced motion?
+	 *
+	 * The "prefers-reduced-motion" media query is observed while the hotline instance is started.
+	 * The inertial movement is disabled too.
+	 *
+	 * @type {boolean}
+	 *
+	 * @public
+	 */
+	reduce = true;
+
+	/**
+	 * @name Preference
+	 *
+	 * @description
+	 * Media query list of the user preference of reduced motion
+	 *
+	 * @type {(MediaQueryList|null)}
+	 *
+	 * @protected
+	 */
+	#preference = null;
+
+	/**
+	 * @name Reduced
+	 *
+	 * @description
+	 * Is movement paused by the user preference of reduced motion?
+	 *
+	 * @type {boolean}
+	 *
+	 * @protected
+	 */
+	#reduced = false;
+
+	/**
+	 * @name Toggle
+	 *
+	 * @description
+	 * Button for pausing and resuming movement of elements (WCAG 2.2.2 "Pause, Stop, Hide")
+	 *
+	 * true - the button will be created before the shell (`this.caption`)
+	 * HTMLElement - the existing button will be bound
+	 *
+	 * The "aria-pressed" attribute of the button is "true" while movement is paused.
+	 *
+	 * @type {(HTMLElement|boolean|null)}
+	 *
+	 * @public
+	 */
+	toggle = null;
+
+	/**
+	 * @name Caption
+	 *
+	 * @description
+	 * Text of the button created for pausing and resuming movement of elements
+	 *
+	 * @type {string}
+	 *
+	 * @public
+	 */
+	caption = "Pause";
+
+	/**
+	 * @name Toggler
+	 *
+	 * @description
+	 * The button for pausing and resuming movement of elements
+	 *
+	 * @type {(object|null)}
+	 * @property {HTMLElement} element The button
+	 * @property {boolean} injected Was the button created by the hotline instance?
+	 * @property {(string|null)} pressed Initial value of the "aria-pressed" attribute
+	 *
+	 * @protected
+	 */
+	#toggler = null;
+
+	/**
+	 * @name Role
+	 *
+	 * @description
+	 * ARIA role of the shell ("marquee" or "region")
+	 *
+	 * null - the shell will not be changed
+	 *
+	 * @type {(string|null)}
+	 *
+	 * @public
+	 */
+	role = null;
+
+	/**
+	 * @name Label
+	 *
+	 * @description
+	 * ARIA label of the shell (the "aria-label" attribute, written with `this.role`)
+	 *
+	 * @type {(string|null)}
+	 *
+	 * @public
+	 */
+	label = null;
+
+	/**
+	 * @name Role description
+	 *
+	 * @description
+	 * ARIA description of the role of the shell (the "aria-roledescription" attribute, written with `this.role`)
+	 *
+	 * @type {(string|null)}
+	 *
+	 * @public
+	 */
+	roledescription = null;
+
+	/**
+	 * @name Conceal
+	 *
+	 * @description
+	 * Hide elements outside the shell from assistive technologies (the "aria-hidden" attribute)?
+	 *
+	 * Clones of elements (`this.fill`) are always hidden.
+	 *
+	 * @type {boolean}
+	 *
+	 * @public
+	 */
+	conceal = false;
+
+	/**
+	 * @name Concealed
+	 *
+	 * @description
+	 * Registry of elements hidden from assistive technologies by the hotline instance
+	 *
+	 * @type {Set}
+	 *
+	 * @protected
+	 */
+	#concealed = new Set();
+
+	/**
+	 * @name Magnetism
+	 *
+	 * @description
+	 * Types of areas in which the target element will be magnetized
+	 *
+	 * @type {object}
+	 *
+	 * @typedef magnetism
+	 * @param {symbol} beginning
+	 * @param {symbol} center
+	 * @param {symbol} end
+	 *
+	 * @protected
+	 */
+	#magnetism = Object.freeze({
+		beginning: Symbol("beginning"),
+		center: Symbol("center"),
+		end: Symbol("end")
+	});
+
+	/**
+	 * @name Magnetism (get)
+	 *
+	 * @description
+	 * Getter for `this.#magnetism`
+	 *
+	 * @return {magnetism}
+	 *
+	 * @public
+	 */
+	get magnetism() {
+		return this.#magnetism;
+	}
+
+	/**
+	 * @name Magnetic
+	 *
+	 * @description
+	 * The area in which the target element will be magnetized
+	 *
+	 * @type {(magnetism.<symbol>|null)}
+	 *
+	 * @public
+	 */
+	magnetic = null;
+
+	/**
+	 * @name Padding
+	 *
+	 * @description
+	 * Paddings (px) of magnetism areas from edges of the shell
+	 *
+	 * "beginning": from the beginning of the shell (left or top)
+	 * "center": from the center of the shell (positive to the end)
+	 * "end": from the end of the shell (right or bottom)
+	 *
+	 * A number is used for every area.
+	 *
+	 * @type {(object|number)}
+	 *
+	 * @public
+	 */
+	padding = { beginning: 0, center: 0, end: 0 };
+
+	/**
+	 * @name Snap
+	 *
+	 * @description
+	 * Magnetize the element nearest to the magnetism area after the user interaction?
+	 *
+	 * Executed after moving by the user (after the inertial movement with `this.inertia`)
+	 * and after the end of the wheel burst (`this.debounce`).
+	 * The area is `this.magnetic` (the beginning if it is null).
+	 *
+	 * @type {boolean}
+	 *
+	 * @public
+	 */
+	snap = false;
+
+	/**
+	 * @name Debounce
+	 *
+	 * @description
+	 * Time (ms) after the last "wheel" event before the end of the wheel burst ("hotline.wheel.end", snapping)
+	 *
+	 * @type {number}
+	 *
+	 * @public
+	 */
+	debounce = 150;
+
+	/**
+	 * @name Burst
+	 *
+	 * @description
+	 * Timer of the end of the wheel burst
+	 *
+	 * @type {(number|null)}
+	 *
+	 * @protected
+	 */
+	#burst = null;
+
+	/**
+	 * @name Rolling
+	 *
+	 * @description
+	 * Distance (px) of movement by the wheel that is not passed yet (passed smoothly by the process)
+	 *
+	 * @type {number}
+	 *
+	 * @protected
+	 */
+	#rolling = 0;
+
+	/**
+	 * @name Magnet
+	 *
+	 * @description
+	 * The power of magnetism (otherwise `this.step` will be used)
+	 *
+	 * Unlike `this.step`, this value must be a positive integer (natural), that is, it does not affect the direction
+	 *
+	 * Not used anymore: magnetizing is animated by `this.duration` and `this.easing`.
+	 * Left for compatibility.
+	 *
+	 * @deprecated
+	 *
+	 * @type {number}
+	 *
+	 * @public
+	 */
+	magnet = 1;
+
+	/**
+	 * @name Vertical
+	 *
+	 * @description
+	 * The hotline instance moves vertically?
+	 *
+	 * @type {boolean}
+	 *
+	 * @public
+	 */
+	vertical = false;
+
+	/**
+	 * @name Watch
+	 *
+	 * @description
+	 * Observe elements of the shell added and deleted by others (not by `this.insert()`, `this.remove()`...)?
+	 *
+	 * Changed elements are registered in the logical order, the position of elements is kept.
+	 *
+	 * @type {boolean}
+	 *
+	 * @public
+	 */
+	watch = false;
+
+	/**
+	 * @name Watcher
+	 *
+	 * @description
+	 * Observer of elements of the shell (`this.watch`)
+	 *
+	 * Not disconnected when the hotline instance is stopped by lack of elements (to start it again).
+	 *
+	 * @type {(MutationObserver|null)}
+	 *
+	 * @protected
+	 */
+	#watcher = null;
+
+	/**
+	 * @name Starved
+	 *
+	 * @description
+	 * Is the hotline instance stopped by lack of elements? (will be started when there are enough elements)
+	 *
+	 * @type {boolean}
+	 *
+	 * @protected
+	 */
+	#starved = false;
+
+	/**
+	 * @name Items
+	 *
+	 * @description
+	 * Data source of elements: an array (iterable) or an async iterable (`this.render`)
+	 *
+	 * Elements are rendered when the hotline instance is started or by `this.update()`.
+	 * Items of an async iterable are pulled until elements cover the shell, then one item per transfer to the end.
+	 *
+	 * @type {(Array|Iterable|AsyncIterable|null)}
+	 *
+	 * @public
+	 */
+	items = null;
+
+	/**
+	 * @name Render
+	 *
+	 * @description
+	 * Template function that generates the element of the item: (item, element) => HTMLElement
+	 *
+	 * The second argument is the element that can be reused (rendered for the same key or unused) or null.
+	 *
+	 * @type {(function|null)}
+	 *
+	 * @public
+	 */
+	render = null;
+
+	/**
+	 * @name Key
+	 *
+	 * @description
+	 * Key of the item: a function (item) => key or a property name (the item itself by default)
+	 *
+	 * Elements are recycled by keys, items with duplicated keys are ignored.
+	 *
+	 * @type {(function|string|null)}
+	 *
+	 * @public
+	 */
+	key = null;
+
+	/**
+	 * @name Feed
+	 *
+	 * @description
+	 * Rendered data source (`this.items`)
+	 *
+	 * @type {(Array|Iterable|AsyncIterable|null)}
+	 *
+	 * @protected
+	 */
+	#feed = null;
+
+	/**
+	 * @name Stream
+	 *
+	 * @description
+	 * Iterator of the async data source (null when finished)
+	 *
+	 * @type {(AsyncIterator|null)}
+	 *
+	 * @protected
+	 */
+	#stream = null;
+
+	/**
+	 * @name Pulling
+	 *
+	 * @description
+	 * Iterator of the async data source from which items are being pulled
+	 *
+	 * @type {(AsyncIterator|null)}
+	 *
+	 * @protected
+	 */
+	#pulling = null;
+
+	/**
+	 * @name Keys
+	 *
+	 * @description
+	 * Registry of rendered elements (key => HTMLElement)
+	 *
+	 * @type {Map}
+	 *
+	 * @protected
+	 */
+	#keys = new Map();
+
+	/**
+	 * @name Data
+	 *
+	 * @description
+	 * Registry of items of rendered elements (HTMLElement => item)
+	 *
+	 * @type {Map}
+	 *
+	 * @protected
+	 */
+	#data = new Map();
+
+	/**
+	 * @name Virtual
+	 *
+	 * @description
+	 * Render only elements inside the shell plus `this.buffer` elements after it (`this.items` and `this.render`)?
+	 *
+	 * Elements that went beyond the shell are recycled into the pool and passed to `this.render()` again.
+	 * Logical indexes (`this.current`, `this.goTo()`, events) are indexes of items, not rendered elements.
+	 *
+	 * @type {boolean}
+	 *
+	 * @public
+	 */
+	virtual = false;
+
+	/**
+	 * @name Buffer
+	 *
+	 * @description
+	 * Amount of elements rendered after the end of the shell (`this.virtual`)
+	 *
+	 * @type {number}
+	 *
+	 * @public
+	 */
+	buffer = 1;
+
+	/**
+	 * @name List
+	 *
+	 * @description
+	 * Items of the data source (`this.virtual`, null when elements are not virtualized)
+	 *
+	 * @type {(Array|null)}
+	 *
+	 * @protected
+	 */
+	#list = null;
+
+	/**
+	 * @name Positions
+	 *
+	 * @description
+	 * Registry of logical indexes of items (key => index of the item in `this.#list`)
+	 *
+	 * @type {Map}
+	 *
+	 * @protected
+	 */
+	#positions = new Map();
+
+	/**
+	 * @name Indexes
+	 *
+	 * @description
+	 * Registry of logical indexes of rendered elements (HTMLElement => index of the item in `this.#list`)
+	 *
+	 * @type {Map}
+	 *
+	 * @protected
+	 */
+	#indexes = new Map();
+
+	/**
+	 * @name Pool
+	 *
+	 * @description
+	 * Recycled elements that will be passed to `this.render()` for other items (`this.virtual`)
+	 *
+	 * @type {Array}
+	 *
+	 * @protected
+	 */
+	#pool = [];
+
+	/**
+	 * @name Feeds
+	 *
+	 * @description
+	 * Connected sources of messages (feed => function for deleting items above the maximum and expired items)
+	 *
+	 * @type {Map}
+	 *
+	 * @protected
+	 */
+	#feeds = new Map();
+
+	/**
+	 * @name Observe
+	 *
+	 * @description
+	 * Create an observer to change public properties when "data-hotline-*" attributes change?
+	 *
+	 * @type {boolean}
+	 *
+	 * @public
+	 */
+	observe = false;
+
+	/**
+	 * @name Observer
+	 *
+	 * @description
+	 * Contains an observer instance that allows editing the properties of the hotline instance.
+	 * by changing the value of `this.#shell` attributes.
+	 *
+	 * Works only when `this.observe === true`.
+	 *
+	 * @type {(MutationObserver|null)}
+	 *
+	 * @protected
+	 */
+	#observer = null;
+
+	/**
+	 * @name Events
+	 *
+	 * @description
+	 * Registry of events that will be dispatched
+	 *
+	 * Events "transfer.beginning" and "transfer.end" used for elements transfers!
+	 * Set `false` only when `this.movable === false`, otherwise there will be errors when calculating coordinates!
+	 *
+	 * Events dispatch by the shell element (`this.#shell`)
+	 * Events have the form: "hotline.*" ("hotline.moved.forward", "hotline.stopped")
+	 *
+	 * @type {Map}
+	 *
+	 * @public
+	 */
+	events = new Map([
+		["ready", false],
+		["started", false],
+		["statechange", false],
+		["stopped", false],
+		["destroyed", false],
+		["suspended", false],
+		["resumed", false],
+		["configured", false],
+		["position", false],
+		["move", false],
+		["move.mouse", false],
+		["move.touch", false],
+		["move.pen", false],
+		["move.freezed", false],
+		["move.unfreezed", false],
+		["fling.start", false],
+		["fling.end", false],
+		["wheel.end", false],
+		["magnetized", false],
+		["moved.forward", false],
+		["moved.backward", false],
+		["offset", false],
+		["transfer.beginning", true],
+		["transfer.end", true],
+		["items.changed", false],
+		["items.error", true],
+		["observer.started", false],
+		["observer.stopped", false]
+	]);
+
+	/**
+	 * @name Ignored
+	 *
+	 * @description
+	 * Registry of properties (by "data-hotline-*" attributes)
+	 * that will be ignored by the preprocessor
+	 *
+	 * @type {Set}
+	 *
+	 * @protected
+	 */
+	#ignored = new Set(["events"]);
+
+	/**
+	 * @name Listeners
+	 *
+	 * @description
+	 * Registry of event listeners
+	 *
+	 * Disconnected by `this.stop()`, so restarting never duplicates them.
+	 *
+	 * @type {Map}
+	 *
+	 * @protected
+	 */
+	#listeners = new Map();
+
+	/**
+	 * @name Snapshot
+	 *
+	 * @description
+	 * Order and inline styles of elements before the hotline instance was initialized
+	 *
+	 * Used by `this.destroy()` to restore the DOM to how it was.
+	 *
+	 * @type {object}
+	 * @property {Array} order Elements of `this.#shell`
+	 * @property {Map} styles Inline styles written by the hotline instance (HTMLElement => { property: value })
+	 *
+	 * @protected
+	 */
+	#snapshot = { order: [], styles: new Map() };
+
+	/**
+	 * @name Written
+	 *
+	 * @description
+	 * Inline styles and attributes of the shell written by `this.start()` with their previous values
+	 *
+	 * Only these values are restored by `this.stop()` that ends the same run, then the registry is cleared.
+	 *
+	 * @type {object}
+	 * @property {object} shell Inline styles of the shell ({ property: previous value })
+	 * @property {object} attributes Attributes of the shell ({ name: previous value or null })
+	 *
+	 * @protected
+	 */
+	#written = { shell: {}, attributes: {} };
+
+	/**
+	 * @name Injected
+	 *
+	 * @description
+	 * The hotline instance was written into the shell element?
+	 *
+	 * @type {boolean}
+	 *
+	 * @protected
+	 */
+	#injected = false;
+
+	/**
+	 * @name Constructor
 	 *
 	 * @description
 	 * Initialize a hotline instance and shell of elements
 	 *
-	 * @param {HTMLElement} shell Shell
-	 * @param {boolean} [inject=false] Write the hotline instance into the shell element?
-	 **/
-	constructor(shell, inject = false) {
-		if (shell instanceof HTMLElement) {
-			// Initialized the shell of elements
+	 * @param {HTMLElement} shell Shell
+	 * @param {boolean} [inject=false] Write the hotline instance into the shell element?
+	 **/
+	constructor(shell, inject = false) {
+		if (shell instanceof HTMLElement) {
+			// Initialized the shell of elements
+
+			// Writing the shell of elements
+			this.#shell = shell;
+
+			if (inject) {
+				// Requested writing the hotline instance into the shell element
+
+				// Writing the hotline instance into the shell element
+				this.#shell.hotline = this;
+
+				// Writing indicator of writing the hotline instance into the shell element
+				this.#injected = true;
+			}
+
+			// Writing order of elements
+			this.#snapshot.order = [...this.#shell.children];
+
+			// Writing elements in the logical order
+			this.#items = [...this.#snapshot.order];
+
+			for (const element of this.#snapshot.order) {
+				// Iterating over elements
+
+				// Writing inline styles of the element that will be written by the hotline instance
+				this.#snapshot.styles.set(element, {
+					"margin-left": element.style.getPropertyValue("margin-left"),
+					"margin-top": element.style.getPropertyValue("margin-top"),
+					transform: element.style.getPropertyValue("transform"),
+					attribute: element.hasAttribute("style")
+				});
+			}
+
+			if (this.#enough()) {
+				// Enough elements in the `this.#shell`
+
+				// Writing status of the proccess
+				this.#transit("ready");
+			}
+		}
+	}
+
+	/**
+	 * @name Start
+	 *
+	 * @description
+	 * Start the process of the hotline instance
+	 *
+	 * @throws {exception} The hotline instance is destroyed or there are not enough elements in the shell
+	 */
+	start() {
+		if (this.#status === "destroyed") {
+			// The hotline instance can not be started
+
+			// Exit (fail)
+			throw new exception(
+				`Can not change state of the hotline instance from "${this.#status}" to "running"`,
+				"transition",
+				{ from: this.#status, to: "running" }
+			);
+		}
+
+		// Cancelling smooth stopping (`this.stop(true)`)
+		this.#stopping = false;
+
+		if (
+			typeof this.render === "function" &&
+			this.items !== null &&
+			this.items !== this.#feed &&
+			this.#process === null
+		) {
+			// Requested rendering elements from the data source (not rendered yet)
+
+			// Rendering elements (errors are dispatched by the "items.error" event)
+			this.update(this.items).catch(() => {});
+		}
+
+		if (this.#status === "idle") {
+			// Not enough elements in the `this.#shell` (when the hotline instance was initialized)
+
+			if (this.#enough()) {
+				// Enough elements in the `this.#shell` now
+
+				// Writing status of the proccess
+				this.#transit("ready");
+			} else if (this.#stream !== null || this.#feeds.size > 0) {
+				// Items are pulled from the async data source or received from sources of messages
+
+				// Writing the status that the hotline instance will be started when there are enough elements
+				this.#starved = true;
+
+				// Exit (success)
+				return;
+			} else {
+				// Not enough elements in the `this.#shell`
+
+				// Exit (fail)
+				throw new exception(
+					"Not enough elements in the shell to start the hotline instance",
+					"elements",
+					{ count: this.#shell?.childElementCount ?? 0 }
+				);
+			}
+		}
+
+		if (this.#status === "ready") {
+			// Not found working process of the hotline instance
+
+			// Initializing link to the instance
+			const instance = this;
+
+			// Writing the status that the hotline instance is not stopped by lack of elements
+			this.#starved = false;
+
+			if (this.watch && this.#watcher === null && typeof MutationObserver === "function") {
+				// Requested observing elements of the shell
+
+				// Initializing the observer of elements
+				this.#watcher = new MutationObserver((mutations) => instance.#watch(mutations));
+
+				// Starting observation for elements of the shell
+				this.#watcher.observe(this.#shell, { childList: true });
+			}
+
+			// Deinitializing time of the previous frame
+			this.#timestamp = null;
+
+			// Writing multiplier of speed (elements will be accelerated by `this.acceleration`)
+			this.#throttle = 0;
+
+			// Deinitializing the layout model
+			this.#invalidate();
+
+			if (typeof ResizeObserver === "function") {
+				// Supported observing sizes of elements
+
+				// Initializing the observer of sizes
+				this.#resizer = new ResizeObserver(() => instance.#invalidate());
+
+				// Starting observation for sizes of the shell
+				this.#resizer.observe(this.#shell);
+			}
+
+			// Connecting event listener for loading images (sizes of elements can be changed, the "load" event does not bubble)
+			this.#connect("layout.images", this.#shell, "load", () => instance.#invalidate(), true);
+
+			if (typeof document.fonts === "object") {
+				// Supported loading fonts
+
+				// Connecting event listener for loading fonts (sizes of elements can be changed)
+				this.#connect("layout.fonts", document.fonts, "loadingdone", () =>
+					instance.#invalidate()
+				);
+			}
+
+			// Initializing the process frame
+			const frame = (timestamp) => {
+				// Initializing time elapsed since the previous frame (limited by `this.#lapse`)
+				const elapsed = Math.min(
+					timestamp - (instance.#timestamp ?? timestamp),
+					instance.#lapse
+				);
+
+				// Writing time of the frame
+				instance.#timestamp = timestamp;
+
+				if (instance.#layout === null) {
+					// Not initialized the layout model (or it was invalidated)
+
+					// Measuring the shell and elements
+					instance.#measure();
+				}
+
+				// Initializing multiplier of speed (ramps of acceleration and deceleration)
+				const throttle = instance.#accelerate(elapsed);
+
+				if (instance.#shift()) {
+					// The first element went beyond the shell
+
+					if (instance.transfer === true && instance.#transfer) {
+						// The first element was transfered (elements of items of feeds could go beyond the shell)
+
+						// Deleting items of feeds above the maximum and expired items
+						for (const prune of instance.#feeds.values()) prune();
+					}
+				} else {
+					// The first element is entirely inside the shell
+
+					// Moving elements by the wheel
+					if (instance.#rolling !== 0) instance.#unroll(elapsed);
+
+					if (instance.#animation !== null) {
+						// Elements are moving to the element by `this.goTo()`
+
+						// Moving elements to the element
+						instance.#animate(elapsed);
+					} else if (instance.#fling !== null) {
+						// Elements are moving by inertia
+
+						// Moving elements by inertia
+						instance.#glide(elapsed);
+					} else if (instance.scroll === "scrub" && instance.#page !== null) {
+						// Position of elements is linked with scrolling of the page
+
+						// Moving elements by scrolling of the page
+						instance.#scrub();
+					} else if (this.alive === true) {
+						// Movement is requested
+
+						// Calculating distance of movement for the elapsed time (scaled by ramps of speed)
+						const distance =
+							(instance.#distance(elapsed) + instance.#boost(elapsed)) * throttle;
+
+						// Moving elements
+						if (distance !== 0) instance.move(distance);
+					}
+				}
+
+				if (instance.#stopping && instance.#throttle === 0) {
+					// Elements have smoothly stopped
+
+					// Stopping the hotline instance
+					instance.stop();
+
+					// Exit (success)
+					return;
+				}
+
+				if (instance.conceal) {
+					// Requested hiding elements outside the shell from assistive technologies
+
+					// Hiding elements outside the shell from assistive technologies
+					instance.#conceal();
+				}
+
+				if (instance.#process !== null && !instance.#suspended) {
+					// The process was not stopped or suspended while executing the frame
+
+					// Requesting the next frame
+					instance.#process = requestAnimationFrame(frame);
+				}
+			};
+
+			// Writing the process frame
+			this.#frame = frame;
+
+			// Creating a process
+			this.#process = requestAnimationFrame(frame);
+
+			if (this.suspend) {
+				// Requested suspending the process while the shell is not visible
+
+				if (typeof IntersectionObserver === "function") {
+					// Supported observing intersection with the viewport
+
+					// Initializing the observer of intersection
+					this.#intersector = new IntersectionObserver((entries) => {
+						// Writing the status of intersection (the last entry is actual)
+						instance.#intersecting = entries[entries.length - 1].isIntersecting;
+
+						// Suspending or resuming the process
+						instance.#visibility();
+					});
+
+					// Starting observation for intersection of the shell with the viewport
+					this.#intersector.observe(this.#shell);
+				}
+
+				// Connecting event listener for changing visibility of the page
+				this.#connect("visibility", document, "visibilitychange", () =>
+					instance.#visibility()
+				);
+
+				// Suspending the process if the page is already hidden
+				this.#visibility();
+			}
+
+			if (this.hover) {
+				// Requested freezing the hotline instance when the user cursor is over the this.#shell
+
+				// Connecting event listener for hovering elements by the user
+				this.#connect("hover", this.#shell, "pointerenter", (hover) => {
+					// The user pointer entered `this.#shell` area
+
+					// Touches and pens do not hover
+					if (hover.pointerType !== "mouse") return;
+
+					// Writing the status that the user cursor is over `this.#shell`
+					instance.#hovered = true;
+
+					// Freezing the hotline instance (stopping movement of elements by themselves)
+					instance.#freeze(hover);
+				});
+
+				// Connecting event listener for leaving the user cursor from the shell
+				this.#connect("hover.leave", this.#shell, "pointerleave", (leave) => {
+					// The user pointer leaved `this.#shell` area
+
+					// Touches and pens do not hover
+					if (leave.pointerType !== "mouse") return;
+
+					// Writing the status that the user cursor is not over `this.#shell`
+					instance.#hovered = false;
+
+					if (instance.#pointer === null && !instance.#focused) {
+						// Elements are not being moved by the user (otherwise they will be unfreezed after moving) and not focused
+
+						// Unfreezing the hotline instance (starting movement of elements by themselves)
+						instance.#unfreeze(leave);
+					}
+				});
+			}
+
+			if (this.scroll === "boost" || this.scroll === "scrub") {
+				// Requested linking movement of elements with scrolling of the page
+
+				// Initializing scrolling of the page
+				this.#page = {
+					position: window.scrollY,
+					delta: 0,
+					velocity: 0,
+					progress: null,
+					scrolled: true
+				};
+
+				// Connecting event listener for scrolling of the page (handled by the process)
+				this.#connect(
+					"scroll",
+					window,
+					"scroll",
+					() => {
+						// The page was scrolled
+
+						// Writing distance of scrolling since the previous frame
+						instance.#page.delta += window.scrollY - instance.#page.position;
+
+						// Writing the last scroll position of the page
+						instance.#page.position = window.scrollY;
+
+						// Writing the status that the page was scrolled
+						instance.#page.scrolled = true;
+					},
+					{ passive: true }
+				);
+			}
+
+			if (this.wheel) {
+				// Requested moving elements by the user mouse whell
+
+				// Connecting event listener for moving elements by the user mouse wheel
+				this.#connect(
+					"wheel",
+					this.#shell,
+					"wheel",
+					(wheel) => {
+						// The user moves elements by the mouse wheel or the trackpad
+
+						// Zooming the page (pinch on trackpads)
+						if (wheel.ctrlKey) return;
+
+						// Initializing distance of movement
+						const distance = instance.#roll(wheel);
+
+						// Elements can not be moved in the direction of the wheel
+						if (distance === 0 || !instance.#consumable(distance)) return;
+
+						// Blocking scrolling of the page
+						if (instance.consume) wheel.preventDefault();
+
+						// Stopping the inertial movement (elements are moved by the user)
+						if (instance.#fling !== null) instance.#land();
+
+						// Stopping movements by `this.goTo()` and `this.magnetize()` (elements are moved by the user)
+						instance.#interrupt("Movement was interrupted by the user");
+
+						if (instance.delta === null) {
+							// Normalized deltas
+
+							// Writing distance of movement (passed smoothly by the process)
+							instance.#rolling += distance;
+						} else {
+							// Fixed delta
+
+							// Moving elements
+							instance.move(distance);
+
+							// Transfering elements (the delta can be longer than the element)
+							instance.#settle();
+						}
+
+						// Deinitializing the timer of the end of the wheel burst (the wheel burst is not ended)
+						clearTimeout(instance.#burst);
+
+						// Initializing the timer of the end of the wheel burst
+						instance.#burst = setTimeout(() => {
+							// Deinitializing the timer of the end of the wheel burst
+							instance.#burst = null;
+
+							if (instance.events.get("wheel.end")) {
+								// Requested triggering the "wheel.end" event
+
+								// Dispatching event: "wheel.end"
+								instance.#shell.dispatchEvent(new CustomEvent("hotline.wheel.end"));
+							}
+
+							if (instance.snap) {
+								// Requested snapping elements after the user interaction
+
+								// Passing the remaining distance of movement at once
+								instance.#unroll(Infinity);
+
+								// Snapping the nearest element
+								instance.#snap();
+							}
+						}, instance.debounce);
+					},
+					{ passive: !this.consume }
+				);
+			}
+
+			// Initializing buffer for generating new position of the first element
+			let position = 0;
+
+			// Initializing event listeners for transfered elements that moved by the user (mouse, touch, pen)
+			const transfer = function (event) {
+				// The element was transfered while moved by the user (mouse, touch, pen)
+
+				// Generating and writing position of the first element
+				position += event.detail.offset ?? 0;
+			};
+
+			if (instance.movable) {
+				// Requested moving elements by the user (mouse, touch, pen)
+
+				// Writing the browser gestures that are allowed on the shell (panning across the movement axis)
+				instance.#style("touch-action", instance.vertical ? "pan-x" : "pan-y");
+
+				// Connecting event listener for starting moving elements by the user (mouse, touch, pen)
+				instance.#connect("move.start", instance.#shell, "pointerdown", (start) => {
+					// Elements have started to be moved by the user (mouse, touch, pen)
+
+					// Elements are already being moved by another pointer
+					if (instance.#pointer !== null || !start.isPrimary) return;
+
+					if (start.pointerType !== "mouse" || start.button === instance.button) {
+						// Pressing with a finger, a pen or a mouse button specified in `this.button` by the user
+
+						// Stopping the inertial movement (elements are caught by the user)
+						if (instance.#fling !== null) instance.#land();
+
+						// Stopping movements by `this.goTo()` and `this.magnetize()` (elements are caught by the user)
+						instance.#interrupt("Movement was interrupted by the user");
+
+						// Writing identifier of the pointer that moves elements
+						instance.#pointer = start.pointerId;
+
+						// Deinitializing time of the previous movement by the user (the previous click is not suppressed anymore)
+						instance.#dragged = null;
+
+						// Freezing the hotline instance (stopping movement of elements by themselves)
+						instance.#freeze(start);
+
+						// Initializing the start coordinate of the movement by the user
+						let origin = instance.vertical ? start.pageY : start.pageX;
+
+						// Initializing tracker of the movement velocity
+						instance.#tracker = { velocity: 0, coordinate: origin, timestamp: start.timeStamp };
+
+						// Initializing the target element (the pointer will be captured, so targets of next events will be the shell)
+						const target = start.target;
+
+						// Connecting event listener for transfer elements to the beginning and to the end
+						instance.#connect(
+							"move.transfer",
+							instance.#shell,
+							["hotline.transfer.beginning", "hotline.transfer.end"],
+							transfer
+						);
+
+						// Initializing initial position
+						const initial = instance.#read();
+
+						// Connecting event listener for moving elements by the user (mouse, touch, pen)
+						instance.#connect("moving", document, "pointermove", (move) => {
+							// The user moves elements (mouse, touch, pen)
+
+							// Another pointer
+							if (move.pointerId !== instance.#pointer) return;
+
+							// Initializing coordinate of the pointer
+							const coordinate = instance.vertical ? move.pageY : move.pageX;
+
+							if (!instance.#moving) {
+								// Elements are not being moved by the user yet
+
+								// The pointer has not passed the threshold distance (it is still can be a click)
+								if (Math.abs(coordinate - origin) < instance.threshold) return;
+
+								// Writing the status that elements are currently being moved by the user
+								instance.#moving = true;
+
+								// Writing the start coordinate of the movement (elements will not jump by the threshold distance)
+								origin = coordinate;
+
+								try {
+									// Capturing the pointer (all its events will be dispatched to the shell, wherever it is released)
+									instance.#shell.setPointerCapture(move.pointerId);
+								} catch {
+									// The pointer is not active (for example, the event is synthetic)
+								}
+
+								// Deleting selection of the text started before the movement
+								document.getSelection?.()?.removeAllRanges();
+							}
+
+							// Writing new position coordinate for the first element (moving)
+							instance.position(coordinate - (origin + position - initial));
+
+							// Tracking velocity of the movement
+							instance.#track(coordinate, move.timeStamp);
+
+							// Initializing name of the event by type of the pointer ("move.mouse", "move.touch", "move.pen")
+							const name = "move." + move.pointerType;
+
+							if (instance.events.get(name)) {
+								// Requested triggering the "move.mouse", "move.touch" or "move.pen" event
+
+								// Dispatching event: "move.mouse", "move.touch" or "move.pen"
+								instance.#shell.dispatchEvent(
+									new CustomEvent("hotline." + name, {
+										detail: { from: initial, to: instance.#read() }
+									})
+								);
+							}
+						});
+
+						// Connecting event listeners for ending moving elements by the user (mouse, touch, pen)
+						instance.#connect(
+							"move.end",
+							document,
+							["pointerup", "pointercancel", "lostpointercapture"],
+							(end) => {
+								// Elements have ended to be moved by the user (mouse, touch, pen)
+
+								// Another pointer or already ended (the "lostpointercapture" event follows the "pointerup" event)
+								if (end.pointerId !== instance.#pointer) return;
+
+								// Deleting identifier of the pointer that moves elements
+								instance.#pointer = null;
+
+								// Writing time of the movement by the user (the following click will be suppressed)
+								if (instance.#moving) instance.#dragged = end.timeStamp;
+
+								// Writing the status that elements are currently not being moved by the user
+								instance.#moving = false;
+
+								// Disconnecting event listeners for moving elements by the user (mouse, touch, pen)
+								instance.#disconnect("moving");
+								instance.#disconnect("move.end");
+
+								// Reinitializing buffer for generating new position of the first element
+								position = 0;
+
+								// Disconnecting event listener for transfer elements to the beginning and to the end
+								instance.#disconnect("move.transfer");
+
+								try {
+									// Releasing the pointer
+									instance.#shell.releasePointerCapture(end.pointerId);
+								} catch {
+									// The pointer is already released
+								}
+
+								// Initializing velocity of the movement (zero if the pointer was stopped before releasing)
+								const velocity =
+									end.timeStamp - instance.#tracker.timestamp > 100
+										? 0
+										: instance.#tracker.velocity;
+
+								if (
+									instance.inertia &&
+									!instance.#preference?.matches &&
+									Math.abs(velocity) > instance.#stillness
+								) {
+									// Requested the inertial movement (the user does not prefer reduced motion) and elements were thrown by the user
+
+									// Starting the inertial movement (elements will be released after it)
+									instance.#throw(velocity, target, end);
+								} else {
+									// Elements were not thrown by the user
+
+									// Releasing elements
+									instance.#release(target, end);
+								}
+							}
+						);
+					}
+				});
+
+				// Connecting event listener for suppressing clicks after moving elements by the user (links stay usable)
+				instance.#connect(
+					"move.click",
+					instance.#shell,
+					"click",
+					(click) => {
+						// The user clicked on elements
+
+						if (instance.#dragged !== null) {
+							// Elements were moved by the user
+
+							if (click.timeStamp - instance.#dragged < 500) {
+								// The click was made by ending the movement
+
+								// Suppressing the click
+								click.preventDefault();
+								click.stopImmediatePropagation();
+							}
+
+							// Deinitializing time of the previous movement by the user
+							instance.#dragged = null;
+						}
+					},
+					true
+				);
+
+				// Connecting event listener for blocking native dragging of images and links
+				instance.#connect("move.drag", instance.#shell, "dragstart", (drag) => {
+					// The user started native dragging
+
+					// Blocking native dragging while elements are pressed by the user
+					if (instance.#pointer !== null) drag.preventDefault();
+				});
+
+				// Connecting event listener for blocking selection of the text
+				instance.#connect("move.select", document, "selectstart", (select) => {
+					// The user started selecting the text
+
+					// Blocking selection of the text while elements are pressed by the user
+					if (instance.#pointer !== null) select.preventDefault();
+				});
+			}
+
+			if (instance.keyboard) {
+				// Requested moving elements by the user keyboard
+
+				// Writing the shell into the sequential keyboard navigation (if it is not there)
+				if (!instance.#shell.hasAttribute("tabindex")) instance.#attribute("tabindex", "0");
+
+				// Connecting event listener for moving elements by the user keyboard
+				instance.#connect("keyboard", instance.#shell, "keydown", (key) => {
+					// The user pressed a key
+
+					// The user is editing the text or pressed a shortcut
+					if (
+						key.target.isContentEditable ||
+						/^(input|textarea|select)$/i.test(key.target.tagName) ||
+						key.altKey ||
+						key.ctrlKey ||
+						key.metaKey
+					)
+						return;
+
+					// Initializing the layout model
+					if (instance.#layout === null) instance.#measure();
+
+					switch (key.key) {
+						case instance.vertical ? "ArrowUp" : "ArrowLeft":
+							// Previous element
+
+							// Moving elements forward (the previous element will be shown)
+							instance.#navigate(() => instance.forward());
+							break;
+						case instance.vertical ? "ArrowDown" : "ArrowRight":
+							// Next element
+
+							// Moving elements backward (the next element will be shown)
+							instance.#navigate(() => instance.backward());
+							break;
+						case "Home":
+							// The first element
+
+							// Moving the first element (by the logical order) to the beginning of the shell
+							instance.#jump(instance.#reach(0), "beginning");
+							break;
+						case "End":
+							// The last element
+
+							// Moving the last element (by the logical order) to the end of the shell
+							instance.#jump(
+								instance.#reach((instance.#list ?? instance.#items).length - 1),
+								"end"
+							);
+							break;
+						case "PageUp":
+							// The previous page
+
+							// Moving the last element hidden behind the beginning of the shell to the end of the shell
+							instance.#jump(
+								[...instance.#shell.children].findLast(
+									(element) => instance.#locate(element) < 0
+								),
+								"end"
+							);
+							break;
+						case "PageDown":
+							// The next page
+
+							// Moving the first element hidden behind the end of the shell to the beginning of the shell
+							instance.#jump(
+								[...instance.#shell.children].find(
+									(element) =>
+										instance.#locate(element) + instance.#shape(element).size >
+										instance.#layout.size
+								),
+								"beginning"
+							);
+							break;
+						default:
+							// Not handled key
+
+							// Exit (fail)
+							return;
+					}
+
+					// Blocking scrolling of the page
+					key.preventDefault();
+				});
+			}
+
+			if (instance.focus) {
+				// Requested bringing elements into view when they receive keyboard focus
+
+				// Connecting event listener for receiving keyboard focus by content of elements
+				instance.#connect("focus", instance.#shell, "focusin", (focus) => {
+					// Content of elements received focus
+
+					try {
+						// Focus was received not by the keyboard (for example, by clicking)
+						if (!focus.target.matches(":focus-visible")) return;
+					} catch {
+						// The ":focus-visible" pseudo-class is not supported
+					}
+
+					// Initializing the element that contains the focused content
+					const element = instance.#child(focus.target);
+
+					// Not found the element (the shell itself is focused)
+					if (element === null) return;
+
+					// Writing the status that content of elements is focused
+					instance.#focused = true;
+
+					// Freezing the hotline instance (stopping movement of elements by themselves)
+					instance.#freeze(focus);
+
+					// Deleting scroll of the shell (browsers scroll the shell to the focused content)
+					instance.#shell.scrollLeft = 0;
+					instance.#shell.scrollTop = 0;
+
+					// Moving the element fully into view
+					instance.#jump(element, "view");
+				});
+
+				// Connecting event listener for losing keyboard focus by content of elements
+				instance.#connect("focus.leave", instance.#shell, "focusout", (blur) => {
+					// Content of elements lost focus
+
+					// Focus is moved to another content of elements
+					if (instance.#shell.contains(blur.relatedTarget)) return;
+
+					// Writing the status that content of elements is not focused
+					instance.#focused = false;
+
+					if (instance.#pointer === null && (!instance.hover || !instance.#hovered)) {
+						// Elements are not being moved by the user and not hovered by the user cursor
+
+						// Unfreezing the hotline instance (starting movement of elements by themselves)
+						instance.#unfreeze(blur);
+					}
+				});
+			}
+
+			if (instance.role !== null) {
+				// Requested ARIA semantics
+
+				// Writing the role of the shell
+				instance.#attribute("role", instance.role);
+
+				// Writing the label of the shell
+				if (instance.label !== null) instance.#attribute("aria-label", instance.label);
+
+				if (instance.roledescription !== null) {
+					// Requested the description of the role
+
+					// Writing the description of the role of the shell
+					instance.#attribute("aria-roledescription", instance.roledescription);
+				}
+			}
+
+			if (instance.toggle instanceof HTMLElement || instance.toggle === true) {
+				// Requested the button for pausing and resuming movement of elements
+
+				// Initializing the button
+				const button = instance.toggle === true ? document.createElement("button") : instance.toggle;
+
+				// Writing the button
+				instance.#toggler = {
+					element: button,
+					injected: instance.toggle === true,
+					pressed: button.getAttribute("aria-pressed")
+				};
+
+				if (instance.#toggler.injected) {
+					// Requested creating the button
+
+					// Writing type of the button (not submitting forms)
+					button.type = "button";
+
+					// Writing class of the button
+					button.className = "hotline-toggle";
+
+					// Writing text of the button
+					button.textContent = instance.caption;
+
+					// Writing the shell controlled by the button
+					if (instance.#shell.id !== "") button.setAttribute("aria-controls", instance.#shell.id);
+
+					// Writing the button before the shell (before content in the navigation order)
+					instance.#shell.before(button);
+				}
+
+				// Connecting event listener for pressing the button
+				instance.#connect("toggle", button, "click", () => {
+					// The user pressed the button
+
+					if (instance.#status === "paused") {
+						// Paused
+
+						// Writing the status that movement is not paused by the user preference (the user requested it)
+						instance.#reduced = false;
+
+						// Resuming movement of elements by themselves
+						instance.resume();
+					} else {
+						// Running or frozen
+
+						// Pausing movement of elements by themselves
+						instance.pause();
+					}
+				});
+			}
+
+			if (instance.reduce && typeof matchMedia === "function") {
+				// Requested honouring the user preference of reduced motion
+
+				// Initializing the media query list of the user preference
+				instance.#preference = matchMedia("(prefers-reduced-motion: reduce)");
+
+				// Connecting event listener for changing the user preference
+				instance.#connect("motion", instance.#preference, "change", () => instance.#prefer());
+			}
+
+			// Writing status of the proccess
+			this.#transit("running");
+
+			// Pausing movement of elements if the user prefers reduced motion
+			if (instance.#preference !== null) instance.#prefer();
+
+			if (instance.events.get("started")) {
+				// Requested triggering the "started" event
+
+				// Dispatching event: "started"
+				this.#shell.dispatchEvent(new CustomEvent("hotline.started"));
+			}
+		}
+
+		if (this.observe) {
+			// Requester observing for changing `this.#shell` attributes values
+
+			if (this.#observer === null) {
+				// Not initialized the observer instance
+
+				// Initializing the observer instance
+				this.#observer = new MutationObserver((mutations) => {
+					// Detected mutation
+
+					// Initializing indicator of changed "data-hotline-*" attributes
+					let configured = false;
+
+					for (const mutation of mutations) {
+						// Iterating over mutations
+
+						if (
+							mutation.type === "attributes" &&
+							/^data-hotline-\w+$/.test(mutation.attributeName)
+						) {
+							// Attribute of the hotline instance was changed
+
+							// Reinitializing property by new value of the attribute
+							this.configure(mutation.attributeName);
+
+							// Writing indicator of changed "data-hotline-*" attributes
+							configured = true;
+						}
+					}
+
+					// Restarting the hotline instance (only started, other attributes are ignored)
+					if (configured && this.#process !== null) this.restart();
+				});
+
+				// Starting observation for attributes mutations in the `this.#shell`
+				this.#observer.observe(this.#shell, {
+					attributes: true
+				});
+
+				if (this.events.get("observer.started")) {
+					// Requested triggering the "observer.started" event
+
+					// Dispatching event: "observer.stopped"
+					this.#shell.dispatchEvent(
+						new CustomEvent("hotline.observer.started", {
+							detail: {
+								instance: this.#observer
+							}
+						})
+					);
+				}
+			}
+		} else if (this.#observer instanceof MutationObserver) {
+			// Not requested observing for changing `this.#shell` attributes values but found the observer instance
+
+			// Stoppingobservation for attributes mutations in the `this.#shell`
+			this.#observer.disconnect();
+
+			// Deleting the observer instance
+			this.#observer = null;
+
+			if (this.events.get("observer.stopped")) {
+				// Requested triggering the "observer.stopped" event
+
+				// Dispatching event: "observer.stopped"
+				this.#shell.dispatchEvent(new CustomEvent("hotline.observer.stopped"));
+			}
+		}
+	}
+
+	/**
+	 * @name Stop
+	 *
+	 * @description
+	 * Stop the process of the hotline instance
+	 *
+	 * With smooth stopping, elements are decelerated by `this.deceleration` before stopping
+	 * (the "hotline.stopped" event is dispatched after that).
+	 *
+	 * @param {boolean} [smooth=false] Decelerate elements before stopping?
+	 *
+	 * @throws {exception} The hotline instance is destroyed
+	 */
+	stop(smooth = false) {
+		if (this.#status === "destroyed") {
+			// The hotline instance can not be stopped
+
+			// Exit (fail)
+			throw new exception(
+				`Can not change state of the hotline instance from "${this.#status}" to "ready"`,
+				"transition",
+				{ from: this.#status, to: "ready" }
+			);
+		}
+
+		if (this.#process === null) {
+			// The hotline instance is not started
+
+			if (this.#starved) {
+				// The hotline instance was stopped by lack of elements
+
+				// Writing the status that the hotline instance will not be started when there are enough elements
+				this.#starved = false;
+
+				// Stopping observation for elements
+				this.#watcher?.disconnect();
+
+				// Deleting the observer of elements
+				this.#watcher = null;
+			}
+
+			// Exit (success)
+			return;
+		}
+
+		if (smooth && this.deceleration > 0 && this.#throttle > 0 && !this.#suspended) {
+			// Requested smooth stopping and elements are moving
+
+			// Writing the status that the process is smoothly stopping (the process will stop itself)
+			this.#stopping = true;
+
+			// Exit (success)
+			return;
+		}
+
+		// Writing the status that the process is not smoothly stopping
+		this.#stopping = false;
+
+		// Stopping the process
+		cancelAnimationFrame(this.#process);
+
+		// Deleting identifier of the proccess
+		this.#process = null;
+
+		// Deleting the process frame
+		this.#frame = null;
+
+		if (this.#intersector !== null) {
+			// Initialized the observer of intersection
+
+			// Stopping observation for intersection
+			this.#intersector.disconnect();
+
+			// Deleting the observer of intersection
+			this.#intersector = null;
+		}
+
+		// Writing the status that the shell is inside the viewport
+		this.#intersecting = true;
+
+		// Writing the status that the process is not suspended
+		this.#suspended = false;
+
+		if (this.#resizer !== null) {
+			// Initialized the observer of sizes
+
+			// Stopping observation for sizes
+			this.#resizer.disconnect();
+
+			// Deleting the observer of sizes
+			this.#resizer = null;
+
+			// Reinitializing registry of observed elements
+			this.#observed = new WeakSet();
+		}
+
+		if (this.#clones.size > 0) {
+			// Found clones of elements
+
+			// Deleting clones of elements
+			this.#unfill();
+		}
+
+		for (const name of [...this.#listeners.keys()]) {
+			// Iterating over event listeners
+
+			// Disconnecting the event listener
+			this.#disconnect(name);
+		}
+
+		// Writing the status that elements are currently not being moved by the user
+		this.#moving = false;
+
+		// Deleting identifier of the pointer that moves elements
+		this.#pointer = null;
+
+		// Stopping the inertial movement
+		this.#fling = null;
+
+		// Stopping movements by `this.goTo()` and `this.magnetize()`
+		this.#interrupt("Movement was interrupted by stopping the hotline instance");
+
+		if (this.#watcher !== null && !this.#starved) {
+			// Found the observer of elements and the hotline instance is stopped not by lack of elements
+
+			// Stopping observation for elements
+			this.#watcher.disconnect();
+
+			// Deleting the observer of elements
+			this.#watcher = null;
+		}
+
+		// Writing the status that content of elements is not focused
+		this.#focused = false;
+
+		// Deinitializing the timer of the end of the wheel burst
+		clearTimeout(this.#burst);
+		this.#burst = null;
+
+		// Deinitializing distance of movement by the wheel
+		this.#rolling = 0;
+
+		// Deinitializing scrolling of the page
+		this.#page = null;
+
+		// Deinitializing the media query list of the user preference
+		this.#preference = null;
+
+		// Writing the status that movement is not paused by the user preference
+		this.#reduced = false;
+
+		if (this.#toggler !== null) {
+			// Initialized the button for pausing and resuming movement of elements
+
+			if (this.#toggler.injected) {
+				// The button was created by the hotline instance
+
+				// Deleting the button
+				this.#toggler.element.remove();
+			} else if (this.#toggler.pressed === null) {
+				// The button had not the state
+
+				// Deleting the state of the button
+				this.#toggler.element.removeAttribute("aria-pressed");
+			} else {
+				// The button had the state
+
+				// Restoring the state of the button
+				this.#toggler.element.setAttribute("aria-pressed", this.#toggler.pressed);
+			}
+
+			// Deinitializing the button
+			this.#toggler = null;
+		}
+
+		for (const element of this.#concealed) {
+			// Iterating over elements hidden from assistive technologies
+
+			// Showing the element to assistive technologies
+			element.removeAttribute("aria-hidden");
+		}
+
+		// Deinitializing registry of elements hidden from assistive technologies
+		this.#concealed.clear();
+
+		// Writing the status that the user cursor is not over `this.#shell`
+		this.#hovered = false;
+
+		for (const property in this.#written.shell) {
+			// Iterating over inline styles of the shell written by this run
+
+			// Restoring value of the property
+			this.#shell.style.setProperty(property, this.#written.shell[property]);
+		}
+
+		for (const name in this.#written.attributes) {
+			// Iterating over attributes of the shell written by this run
+
+			// Initializing previous value of the attribute
+			const value = this.#written.attributes[name];
+
+			// Restoring value of the attribute
+			if (value === null) this.#shell.removeAttribute(name);
+			else this.#shell.setAttribute(name, value);
+		}
+
+		// Deinitializing registry of values written by this run
+		this.#written = { shell: {}, attributes: {} };
+
+		// Deinitializing the layout model
+		this.#invalidate();
+
+		// Writing status of the proccess
+		this.#transit("ready");
+
+		if (this.events.get("stopped")) {
+			// Requested triggering the "stopped" event
+
+			// Dispatching event: "stopped"
+			this.#shell.dispatchEvent(new CustomEvent("hotline.stopped"));
+		}
+	}
+
+	/**
+	 * @name Destroy
+	 *
+	 * @description
+	 * Stop the process of the hotline instance, disconnect all event listeners and observers
+	 * and restore the DOM to how it was before the hotline instance was initialized
+	 *
+	 * The hotline instance can not be started again.
+	 */
+	destroy() {
+		// The hotline instance is already destroyed
+		if (this.#status === "destroyed") return;
+
+		// Stopping the hotline instance
+		this.stop();
+
+		if (this.#observer instanceof MutationObserver) {
+			// Found the observer instance
+
+			// Stopping observation for attributes mutations in the `this.#shell`
+			this.#observer.disconnect();
+
+			// Deleting the observer instance
+			this.#observer = null;
+
+			if (this.events.get("observer.stopped")) {
+				// Requested triggering the "observer.stopped" event
+
+				// Dispatching event: "observer.stopped"
+				this.#shell.dispatchEvent(new CustomEvent("hotline.observer.stopped"));
+			}
+		}
+
+		if (this.#watcher !== null) {
+			// Found the observer of elements
+
+			// Stopping observation for elements
+			this.#watcher.disconnect();
+
+			// Deleting the observer of elements
+			this.#watcher = null;
+		}
+
+		// Closing the async data source
+		this.#close();
+
+		// Deleting recycled elements and items of the data source
+		this.#pool = [];
+		this.#list = null;
+		this.#positions.clear();
+
+		// Disconnecting sources of messages
+		for (const feed of [...this.#feeds.keys()]) feed.disconnect();
+
+		// Initializing elements that are not registered (added by others without `this.watch`)
+		const added = [...this.#shell.children].filter(
+			(element) => !this.#items.includes(element)
+		);
+
+		for (const element of [...this.#items, ...added]) {
+			// Iterating over elements in the logical order
+
+			// Restoring order of the element
+			if (element.parentElement === this.#shell) this.#shell.appendChild(element);
+		}
+
+		for (const element of this.#shell.children) {
+			// Iterating over elements
+
+			// Initializing initial inline styles of the element
+			const styles = this.#snapshot.styles.get(element) ?? {
+				"margin-left": "",
+				"margin-top": "",
+				transform: "",
+				attribute: true
+			};
+
+			for (const property of ["margin-left", "margin-top", "transform"]) {
+				// Iterating over properties written by the hotline instance
+
+				// Restoring value of the property
+				element.style.setProperty(property, styles[property]);
+			}
+
+			// Deleting the empty style attribute (was not found before)
+			if (!styles.attribute && element.style.length === 0) element.removeAttribute("style");
+		}
+
+		if (this.#injected && this.#shell.hotline === this) {
+			// The hotline instance was written into the shell element
+
+			// Deleting the hotline instance from the shell element
+			delete this.#shell.hotline;
+		}
+
+		// Deinitializing elements
+		this.#first = {};
+		this.#last = {};
+
+		// Deinitializing position of elements
+		this.#translation = 0;
+
+		// Writing status of the proccess
+		this.#transit("destroyed");
+
+		if (this.events.get("destroyed")) {
+			// Requested triggering the "destroyed" event
+
+			// Dispatching event: "destroyed"
+			this.#shell.dispatchEvent(new CustomEvent("hotline.destroyed"));
+		}
+	}
+
+	/**
+	 * @name Pause
+	 *
+	 * @description
+	 * Pause movement of elements by themselves (the position is kept)
+	 *
+	 * The user still can move elements (mouse, touch, wheel).
+	 *
+	 * @throws {exception} The hotline instance is not started or destroyed
+	 */
+	pause() {
+		// Already paused
+		if (this.#status === "paused") return;
+
+		// Writing status of the proccess
+		this.#transit("paused");
+	}
+
+	/**
+	 * @name Resume
+	 *
+	 * @description
+	 * Resume movement of elements by themselves after `this.pause()`
+	 *
+	 * @throws {exception} The hotline instance is not started or destroyed
+	 */
+	resume() {
+		// Already running or frozen by the user (will be running after unfreezing)
+		if (this.#status === "running" || this.#status === "frozen") return;
+
+		if (this.#status !== "paused") {
+			// Not paused
+
+			// Exit (fail)
+			throw new exception(
+				`Can not resume the hotline instance in the "${this.#status}" state`,
+				"transition",
+				{ from: this.#status, to: "running" }
+			);
+		}
+
+		// Writing status of the proccess
+		this.#transit("running");
+	}
+
+	/**
+	 * @name Restart
+	 *
+	 * @description
+	 * Stop and start the process of the hotline instance
+	 */
+	restart() {
+		// Stopping the hotline instance
+		this.stop();
+
+		// Starting the hotline instance
+		this.start();
+	}
+
+	/**
+	 * @name Elements (get)
+	 *
+	 * @description
+	 * Elements in the logical order (clones are not included)
+	 *
+	 * @return {Array}
+	 *
+	 * @public
+	 */
+	get elements() {
+		return [...this.#items];
+	}
+
+	/**
+	 * @name Append
+	 *
+	 * @description
+	 * Write the element after the last element (by the logical order)
+	 *
+	 * @param {HTMLElement} element The element
+	 *
+	 * @return {number} Logical index of the element
+	 */
+	append(element) {
+		// Exit (success)
+		return this.insert(element, this.#items.length);
+	}
+
+	/**
+	 * @name Prepend
+	 *
+	 * @description
+	 * Write the element before the first element (by the logical order)
+	 *
+	 * @param {HTMLElement} element The element
+	 *
+	 * @return {number} Logical index of the element
+	 */
+	prepend(element) {
+		// Exit (success)
+		return this.insert(element, 0);
+	}
+
+	/**
+	 * @name Insert
+	 *
+	 * @description
+	 * Write the element by the logical index (the position of elements in the shell is kept)
+	 *
+	 * An element that is already in the shell is moved.
+	 *
+	 * @param {HTMLElement} element The element
+	 * @param {number} [index] Logical index (the end by default)
+	 *
+	 * @return {number} Logical index of the element
+	 *
+	 * @throws {exception} Not an element, virtualized elements or the hotline instance is destroyed
+	 */
+	insert(element, index = this.#items.length) {
+		// Validating the element
+		this.#validate(element);
+
+		// Initializing logical index of the element (limited by amount of elements)
+		let position = 0;
+
+		this.#mutate(() => {
+			// Deleting the element from the logical order (it is moved)
+			this.#items = this.#items.filter((item) => item !== element);
+
+			// Writing logical index of the element
+			position = Math.min(Math.max(Math.trunc(index) || 0, 0), this.#items.length);
+
+			if (this.#items.length === 0) {
+				// Not found elements
+
+				// Writing the element into the shell
+				this.#shell.appendChild(element);
+			} else if (position < this.#items.length) {
+				// The element is not the last
+
+				// Writing the element before the element with the same logical index
+				this.#items[position].before(element);
+			} else {
+				// The element is the last
+
+				// Writing the element after the last element
+				this.#items[this.#items.length - 1].after(element);
+			}
+
+			// Writing the element into the logical order
+			this.#items.splice(position, 0, element);
+
+			// Exit (success)
+			return { added: [element], removed: [] };
+		});
+
+		// Exit (success)
+		return position;
+	}
+
+	/**
+	 * @name Remove
+	 *
+	 * @description
+	 * Delete the element from the shell (the position of elements in the shell is kept)
+	 *
+	 * @param {(HTMLElement|number)} element The element (clones are mapped to sources) or its logical index
+	 *
+	 * @return {boolean} Was the element deleted?
+	 *
+	 * @throws {exception} Virtualized elements or the hotline instance is destroyed
+	 */
+	remove(element) {
+		if (this.#list !== null) {
+			// Elements are rendered from the data source (`this.virtual`)
+
+			// Exit (fail)
+			throw new exception("Virtualized elements are changed only by `this.update()`", "virtual", {
+				items: this.items
+			});
+		}
+
+		// Initializing the element
+		const item = typeof element === "number" ? this.#items[this.#index(element)] : this.#source(element);
+
+		// Not found the element
+		if (!this.#items.includes(item)) return false;
+
+		this.#mutate(() => {
+			// Deleting the element from the shell
+			item.remove();
+
+			// Deleting the element from the logical order
+			this.#items = this.#items.filter((element) => element !== item);
+
+			// Exit (success)
+			return { added: [], removed: [item] };
+		});
+
+		// Exit (success)
+		return true;
+	}
+
+	/**
+	 * @name Replace
+	 *
+	 * @description
+	 * Replace the element by another element with the same logical index (the position of elements in the shell is kept)
+	 *
+	 * @param {HTMLElement} old The element of the shell (clones are mapped to sources)
+	 * @param {HTMLElement} element The new element
+	 *
+	 * @return {boolean} Was the element replaced?
+	 *
+	 * @throws {exception} Not an element, virtualized elements or the hotline instance is destroyed
+	 */
+	replace(old, element) {
+		// Validating the new element
+		this.#validate(element);
+
+		// Initializing logical index of the old element
+		const index = this.#items.indexOf(this.#source(old));
+
+		// Not found the old element or the same element
+		if (index === -1 || this.#items[index] === element) return false;
+
+		this.#mutate(() => {
+			// Initializing the old element
+			const item = this.#items[index];
+
+			// Deleting the new element from the logical order (it is moved)
+			this.#items = this.#items.filter((registered) => registered !== element);
+
+			// Replacing the old element in the shell
+			item.replaceWith(element);
+
+			// Replacing the old element in the logical order
+			this.#items[this.#items.indexOf(item)] = element;
+
+			// Exit (success)
+			return { added: [element], removed: [item] };
+		});
+
+		// Exit (success)
+		return true;
+	}
+
+	/**
+	 * @name Update
+	 *
+	 * @description
+	 * Render elements from the data source with minimal changes of the DOM (`this.render`)
+	 *
+	 * Elements of items with the same keys are kept (rendered again only if items were changed),
+	 * elements of deleted items are reused for new items or deleted, the position of elements in the shell is kept.
+	 * Only elements rendered by the hotline instance are reused, a reused element is reported as deleted and added.
+	 * Elements of the previous data source are deleted for an async iterable, its items are appended as they are pulled.
+	 * With `this.virtual` only elements inside the shell are rendered again (from the same logical index).
+	 *
+	 * @param {(Array|Iterable|AsyncIterable)} [items] Data source (`this.items` by default)
+	 *
+	 * @return {Promise} Amount of items (when elements cover the shell for an async data source)
+	 *
+	 * @throws {exception} Rejected: not a data source, not a template function, invalid rendered element or the hotline instance is destroyed
+	 */
+	update(items = this.items) {
+		try {
+			if (typeof this.render !== "function") {
+				// Not found the template function
+
+				// Exit (fail)
+				throw new exception("The render function must be a function", "render", {
+					render: this.render
+				});
+			}
+
+			if (
+				items === null ||
+				typeof items !== "object" ||
+				(typeof items[Symbol.iterator] !== "function" &&
+					typeof items[Symbol.asyncIterator] !== "function")
+			) {
+				// Not a data source
+
+				// Exit (fail)
+				throw new exception("Items must be an array, an iterable or an async iterable", "items", {
+					items
+				});
+			}
+
+			if (this.#status === "destroyed") {
+				// The hotline instance is destroyed
+
+				// Exit (fail)
+				throw new exception("The hotline instance is destroyed", "transition", {
+					from: this.#status
+				});
+			}
+
+			// Closing the previous async data source
+			this.#close();
+
+			// Writing the data source
+			this.items = items;
+			this.#feed = items;
+
+			if (typeof items[Symbol.asyncIterator] === "function") {
+				// Async data source
+
+				if (this.virtual) {
+					// Requested rendering only elements inside the shell
+
+					// Deleting items of the previous data source
+					this.#list = [];
+					this.#positions.clear();
+
+					// Recycling elements of the previous data source
+					this.#mutate(() => this.#window(0));
+				} else {
+					// Elements are not virtualized
+
+					// Deinitializing items of the data source
+					this.#list = null;
+					this.#positions.clear();
+
+					this.#mutate(() => {
+						// Initializing elements of the previous data source
+						const removed = [...this.#items];
+
+						// Deleting elements of the previous data source from the shell
+						for (const element of removed) element.remove();
+
+						// Deinitializing the logical order
+						this.#items = [];
+
+						// Exit (success)
+						return { added: [], removed };
+					});
+				}
+
+				// Writing the iterator of the data source
+				this.#stream = items[Symbol.asyncIterator]();
+
+				// Exit (success)
+				return this.#pull();
+			}
+
+			// Initializing items (iterables can be iterated only once)
+			const list = [...items];
+
+			if (this.virtual) {
+				// Requested rendering only elements inside the shell
+
+				// Initializing logical index of the first element (elements are rendered again from it)
+				const origin =
+					this.#list !== null && this.#items.length > 0
+						? this.#indexes.get(this.#items[0]) ?? 0
+						: 0;
+
+				// Writing items of the data source
+				this.#list = list;
+
+				// Writing logical indexes of items
+				this.#register();
+
+				// Rendering elements inside the shell
+				this.#mutate(() => this.#window(Math.min(origin, Math.max(list.length - 1, 0))));
+
+				// Exit (success)
+				return Promise.resolve(this.#list.length);
+			}
+
+			// Deinitializing items of the data source (elements are not virtualized)
+			this.#list = null;
+			this.#positions.clear();
+
+			// Initializing registry of the next elements (key => HTMLElement)
+			const next = new Map();
+
+			// Initializing registry of items of the next elements (HTMLElement => item)
+			const data = new Map();
+
+			// Initializing registry of keys that are in the data source
+			const keys = new Set(list.map((item) => this.#key(item)));
+
+			// Initializing elements that can be reused (rendered by the hotline instance, their items were deleted)
+			const unused = this.#items.filter(
+				(element) => this.#data.has(element) && !keys.has(this.#key(this.#data.get(element)))
+			);
+
+			// Initializing elements that were reused for other items (reported as deleted and added)
+			const reused = [];
+
+			for (const item of list) {
+				// Iterating over items
+
+				// Initializing key of the item
+				const key = this.#key(item);
+
+				// Items with duplicated keys are ignored
+				if (next.has(key)) continue;
+
+				// Initializing the element rendered for the same key
+				const rendered = this.#keys.get(key) ?? null;
+
+				// Initializing the element rendered for the same key or an unused element
+				let element = rendered ?? unused.shift() ?? null;
+
+				if (element === null || this.#data.get(element) !== item) {
+					// The item was changed
+
+					// Initializing the element that can be reused
+					const recycled = element;
+
+					// Rendering the element
+					element = this.#generate(item, recycled);
+
+					// Writing the element into registry of reused elements
+					if (rendered === null && element === recycled) reused.push(element);
+				}
+
+				// Writing the element
+				next.set(key, element);
+				data.set(element, item);
+			}
+
+			// Initializing elements in the new logical order
+			const order = [...next.values()];
+
+			// Writing items of elements
+			for (const [element, item] of data) this.#data.set(element, item);
+
+			this.#mutate(() => {
+				// Initializing deleted elements
+				const removed = this.#items.filter((element) => !order.includes(element));
+
+				// Initializing added elements
+				const added = order.filter((element) => !this.#items.includes(element));
+
+				// Initializing moved elements
+				const moved = [];
+
+				for (const element of removed) {
+					// Iterating over deleted elements
+
+					// Deleting the element from the shell
+					element.remove();
+				}
+
+				// Deleting elements from the logical order
+				this.#items = this.#items.filter((element) => order.includes(element));
+
+				for (const [index, element] of order.entries()) {
+					// Iterating over elements in the new logical order
+
+					// The element is in its place
+					if (this.#items[index] === element) continue;
+
+					// Initializing the previous logical index of the element
+					const previous = this.#items.indexOf(element);
+
+					if (previous !== -1) {
+						// The element is moved
+
+						// Deleting the element from the logical order
+						this.#items.splice(previous, 1);
+
+						// Writing the element into registry of moved elements
+						moved.push(element);
+					}
+
+					if (index < this.#items.length) {
+						// The element is not the last
+
+						// Writing the element before the element with the same logical index
+						this.#items[index].before(element);
+					} else if (this.#items.length > 0) {
+						// The element is the last
+
+						// Writing the element after the last element
+						this.#items[this.#items.length - 1].after(element);
+					} else {
+						// Not found elements
+
+						// Writing the element into the shell
+						this.#shell.appendChild(element);
+					}
+
+					// Writing the element into the logical order
+					this.#items.splice(index, 0, element);
+				}
+
+				// Exit (success)
+				return { added, removed, moved, reused };
+			});
+
+			// Writing registry of rendered elements (deleted elements were deleted from it)
+			this.#keys = next;
+
+			// Exit (success)
+			return Promise.resolve(this.#items.length);
+		} catch (error) {
+			// Exit (fail)
+			return Promise.reject(this.#fail(error));
+		}
+	}
+
+	/**
+	 * @name Pull
+	 *
+	 * @description
+	 * Pull items from the async data source and append their elements
+	 *
+	 * @param {number} [amount] Amount of items (until elements cover the shell plus one element by default)
+	 *
+	 * @return {Promise} Amount of items
+	 *
+	 * @throws {exception} Rejected: failed the data source or invalid rendered element
+	 *
+	 * @protected
+	 */
+	async #pull(amount = Infinity) {
+		// Initializing the iterator of the data source
+		const stream = this.#stream;
+
+		// Items are already pulled from the iterator
+		if (stream === null || this.#pulling === stream) return (this.#list ?? this.#items).length;
+
+		// Writing the iterator from which items are being pulled
+		this.#pulling = stream;
+
+		try {
+			for (let i = 0; i < amount && (amount !== Infinity || !this.#covered()); ++i) {
+				// Pulling items
+
+				// Pulling the next item
+				const { value, done } = await stream.next();
+
+				// The data source was replaced or the hotline instance was destroyed
+				if (this.#stream !== stream || this.#status === "destroyed") break;
+
+				if (done) {
+					// The data source is finished
+
+					// Deleting the iterator of the data source
+					this.#stream = null;
+					break;
+				}
+
+				// Writing the element of the item
+				this.#receive(value);
+			}
+		} catch (error) {
+			// Failed the data source
+
+			// Deleting the iterator of the data source
+			if (this.#stream === stream) this.#stream = null;
+
+			// Exit (fail)
+			throw this.#fail(error);
+		} finally {
+			// Writing the status that items are not pulled from the iterator
+			if (this.#pulling === stream) this.#pulling = null;
+		}
+
+		// Exit (success)
+		return (this.#list ?? this.#items).length;
+	}
+
+	/**
+	 * @name Register
+	 *
+	 * @description
+	 * Write logical indexes of items from the logical index into registry (`this.#positions`)
+	 *
+	 * @param {number} [from=0] Logical index of the first item (all items are registered again from 0)
+	 *
+	 * @protected
+	 */
+	#register(from = 0) {
+		// Deleting logical indexes of all items
+		if (from === 0) this.#positions.clear();
+
+		for (let index = from; index < this.#list.length; ++index) {
+			// Iterating over items from the logical index
+
+			// Writing logical index of the item
+			this.#positions.set(this.#key(this.#list[index]), index);
+		}
+	}
+
+	/**
+	 * @name Receive
+	 *
+	 * @description
+	 * Write the element of the pulled item after the last element (or render again the element with the same key)
+	 *
+	 * @param {*} item The item
+	 *
+	 * @throws {exception} Invalid rendered element
+	 *
+	 * @protected
+	 */
+	#receive(item) {
+		// Initializing key of the item
+		const key = this.#key(item);
+
+		if (this.#list !== null) {
+			// Elements are virtualized
+
+			// Initializing logical index of the item with the same key
+			const index = this.#positions.get(key) ?? -1;
+
+			if (index === -1) {
+				// The new item
+
+				// Writing the item after the last item
+				this.#list.push(item);
+
+				// Writing logical index of the item
+				this.#positions.set(key, this.#list.length - 1);
+
+				// Initializing indicator of looped elements (the first item is rendered again after the last item)
+				const looped = this.#items.some(
+					(element, index) =>
+						index > 0 && this.#indexes.get(element) <= this.#indexes.get(this.#items[index - 1])
+				);
+
+				// Rendering elements until they cover the shell (the item is written before looped elements)
+				this.#mutate(() => (looped ? this.#window(this.#indexes.get(this.#items[0])) : this.#extend()));
+			} else {
+				// The item with the same key
+
+				// Replacing the item
+				this.#list[index] = item;
+
+				// Initializing the rendered element of the item
+				const element = this.#keys.get(key);
+
+				if (element !== undefined && this.#indexes.get(element) === index) {
+					// The element is rendered
+
+					// Rendering the element again
+					const rendered = this.#generate(item, element);
+
+					// Writing the item of the element
+					this.#data.set(rendered, item);
+
+					if (rendered === element) {
+						// The element was rendered again
+
+						// Deinitializing the layout model (size of the element could be changed)
+						this.#invalidate();
+					} else {
+						// The new element was rendered for the same key
+
+						this.#mutate(() => {
+							// Replacing the element in the shell
+							element.replaceWith(rendered);
+
+							// Replacing the element in the logical order
+							this.#items[this.#items.indexOf(element)] = rendered;
+
+							// Writing the element into registry of rendered elements
+							this.#keys.set(key, rendered);
+
+							// Writing logical index of the element
+							this.#indexes.set(rendered, index);
+
+							// Writing the previous element into the pool
+							this.#pool.push(element);
+
+							// Exit (success)
+							return { added: [rendered], removed: [element] };
+						});
+					}
+				}
+			}
+
+			// Exit (success)
+			return;
+		}
+
+		// Initializing the element rendered for the same key
+		const element = this.#keys.get(key) ?? null;
+
+		// Rendering the element
+		const rendered = this.#generate(item, element);
+
+		if (rendered === element) {
+			// The element was rendered again
+
+			// Deinitializing the layout model (size of the element could be changed)
+			this.#invalidate();
+		} else if (element !== null) {
+			// The new element was rendered for the same key
+
+			// Replacing the element
+			this.replace(element, rendered);
+		} else {
+			// The new element
+
+			// Writing the element after the last element
+			this.append(rendered);
+		}
+
+		// Writing the element into registry of rendered elements
+		this.#keys.set(key, rendered);
+
+		// Writing the item of the element
+		this.#data.set(rendered, item);
+	}
+
+	/**
+	 * @name Generate
+	 *
+	 * @description
+	 * Render the element of the item by the template function (`this.render`)
+	 *
+	 * @param {*} item The item
+	 * @param {(HTMLElement|null)} element The element that can be reused
+	 *
+	 * @return {HTMLElement} The rendered element
+	 *
+	 * @throws {exception} The template function returned not an element
+	 *
+	 * @protected
+	 */
+	#generate(item, element) {
+		// Rendering the element
+		const rendered = this.render(item, element);
+
+		if (!(rendered instanceof HTMLElement) || this.#clones.has(rendered)) {
+			// Not an element or a clone
+
+			// Exit (fail)
+			throw new exception("The render function must return an HTMLElement", "render", {
+				item,
+				element: rendered
+			});
+		}
+
+		// Exit (success)
+		return rendered;
+	}
+
+	/**
+	 * @name Key
+	 *
+	 * @description
+	 * Initialize key of the item (`this.key`)
+	 *
+	 * @param {*} item The item
+	 *
+	 * @return {*} Key of the item
+	 *
+	 * @protected
+	 */
+	#key(item) {
+		if (typeof this.key === "function") {
+			// The function
+
+			// Exit (success)
+			return this.key(item);
+		} else if (typeof this.key === "string" && typeof item === "object" && item !== null) {
+			// The property name
+
+			// Exit (success)
+			return item[this.key];
+		}
+
+		// Exit (success)
+		return item;
+	}
+
+	/**
+	 * @name Covered
+	 *
+	 * @description
+	 * Do elements cover the shell plus one element? (pulling items from the async data source)
+	 *
+	 * @return {boolean}
+	 *
+	 * @protected
+	 */
+	#covered() {
+		// Initializing the layout model
+		if (this.#layout === null) this.#measure();
+
+		// Initializing length of elements with their separators (without the last element)
+		let length = 0;
+
+		for (const [index, element] of this.#items.entries()) {
+			// Iterating over elements
+
+			// The last element
+			if (index === this.#items.length - 1) break;
+
+			// Initializing shape of the element
+			const shape = this.#shape(element);
+
+			// Writing length of elements
+			length += shape.size + shape.offset;
+		}
+
+		// Exit (success)
+		return this.#items.length > 1 && length >= this.#layout.size;
+	}
+
+	/**
+	 * @name Close
+	 *
+	 * @description
+	 * Stop pulling items from the async data source (`finally` blocks of generators are executed)
+	 *
+	 * @protected
+	 */
+	#close() {
+		// Initializing the iterator of the data source
+		const stream = this.#stream;
+
+		if (stream !== null) {
+			// Found the iterator of the data source
+
+			// Deleting the iterator of the data source
+			this.#stream = null;
+
+			// Closing the iterator (errors are ignored)
+			Promise.resolve()
+				.then(() => stream.return?.())
+				.catch(() => {});
+		}
+	}
+
+	/**
+	 * @name Fail
+	 *
+	 * @description
+	 * Dispatch the error of the data source ("items.error")
+	 *
+	 * @param {Error} error The error
+	 *
+	 * @return {Error} The error
+	 *
+	 * @protected
+	 */
+	#fail(error) {
+		if (this.events.get("items.error") && this.#shell instanceof HTMLElement) {
+			// Requested triggering the "items.error" event
+
+			// Dispatching event: "items.error"
+			this.#shell.dispatchEvent(
+				new CustomEvent("hotline.items.error", {
+					detail: { error }
+				})
+			);
+		}
+
+		// Exit (success)
+		return error;
+	}
+
+	/**
+	 * @name Window
+	 *
+	 * @description
+	 * Recycle rendered elements and render elements from the logical index (`this.virtual`)
+	 *
+	 * Used in `this.#mutate()`, so the position of elements in the shell is kept.
+	 *
+	 * @param {number} index Logical index of the first element
+	 *
+	 * @return {object} { added, removed }
+	 *
+	 * @throws {exception} Invalid rendered element
+	 *
+	 * @protected
+	 */
+	#window(index) {
+		// Initializing rendered elements
+		const rendered = [...this.#items];
+
+		// Recycling rendered elements
+		for (const element of rendered) this.#recycle(element);
+
+		// Rendering elements from the logical index
+		const { added } = this.#extend(index);
+
+		// Exit (success)
+		return {
+			added,
+			removed: rendered.filter((element) => element.parentElement !== this.#shell)
+		};
+	}
+
+	/**
+	 * @name Extend
+	 *
+	 * @description
+	 * Render elements after the last element until they cover the shell plus `this.buffer` elements,
+	 * recycle extra elements after the end of the shell (`this.virtual`)
+	 *
+	 * @param {number} [origin=0] Logical index of the first element (if there are no rendered elements)
+	 *
+	 * @return {object} { added, removed }
+	 *
+	 * @throws {exception} Invalid rendered element
+	 *
+	 * @protected
+	 */
+	#extend(origin = 0) {
+		// Initializing rendered elements
+		const added = [];
+
+		// Initializing recycled elements
+		const removed = [];
+
+		// Elements are not virtualized or there are no items
+		if (this.#list === null || this.#list.length === 0) return { added, removed };
+
+		// Initializing the layout model
+		if (this.#layout === null) this.#measure();
+
+		// Initializing amount of items
+		const count = this.#list.length;
+
+		// Initializing size of the shell
+		const size = this.#layout.size;
+
+		// Initializing amount of elements after the end of the shell
+		const buffer = Math.max(Math.trunc(this.buffer) || 0, 1);
+
+		// Initializing coordinate of the end of elements
+		let coordinate = this.#read();
+
+		// Initializing amount of rendered elements after the end of the shell
+		let after = 0;
+
+		for (const element of this.#items) {
+			// Iterating over rendered elements
+
+			// Writing amount of elements after the end of the shell
+			if (coordinate >= size) ++after;
+
+			// Initializing shape of the element
+			const shape = this.#shape(element);
+
+			// Writing coordinate of the end of elements
+			coordinate += shape.size + shape.offset;
+		}
+
+		while ((coordinate < size || after < buffer) && this.#items.length < count) {
+			// Elements do not cover the shell plus the buffer and not all items are rendered
+
+			// Initializing the last element
+			const last = this.#items[this.#items.length - 1];
+
+			// Initializing logical index of the next item
+			const index = last === undefined ? origin : this.#indexes.get(last) + 1;
+
+			// Not looped items (the last item is rendered)
+			if (index >= count && (this.transfer !== true || !this.#transfer)) break;
+
+			// The item is already rendered as the first element (items were added while elements were looped)
+			if (last !== undefined && index % count === this.#indexes.get(this.#items[0])) break;
+
+			// Rendering the element of the item
+			const element = this.#produce(index % count);
+
+			// Writing the element after the last element
+			this.#shell.appendChild(element);
+
+			// Writing the element into the logical order
+			this.#items.push(element);
+
+			// Writing into registry of rendered elements
+			added.push(element);
+
+			// Writing amount of elements after the end of the shell
+			if (coordinate >= size) ++after;
+
+			// Initializing shape of the element
+			const shape = this.#shape(element);
+
+			// Writing coordinate of the end of elements
+			coordinate += shape.size + shape.offset;
+		}
+
+		while (after > buffer && this.#items.length > 1) {
+			// Extra elements after the end of the shell
+
+			// Initializing the last element
+			const last = this.#items[this.#items.length - 1];
+
+			// Initializing shape of the last element
+			const shape = this.#shape(last);
+
+			// Writing coordinate of the end of elements
+			coordinate -= shape.size + shape.offset;
+
+			// Recycling the last element
+			this.#recycle(last);
+
+			// Writing into registry of recycled elements (if it was not rendered again)
+			if (!added.includes(last)) removed.push(last);
+
+			// Writing amount of elements after the end of the shell
+			--after;
+		}
+
+		// Writing translation to rendered elements (transform renderer)
+		if (added.length > 0 && this.renderer === "transform") this.#translate(this.#translation);
+
+		// Exit (success)
+		return { added: added.filter((element) => element.parentElement === this.#shell), removed };
+	}
+
+	/**
+	 * @name Produce
+	 *
+	 * @description
+	 * Render the element of the item by logical index (a recycled element from the pool is reused)
+	 *
+	 * @param {number} index Logical index of the item
+	 *
+	 * @return {HTMLElement} The rendered element
+	 *
+	 * @throws {exception} Invalid rendered element
+	 *
+	 * @protected
+	 */
+	#produce(index) {
+		// Initializing the item
+		const item = this.#list[index];
+
+		// Initializing the recycled element
+		const recycled = this.#pool.pop() ?? null;
+
+		// Rendering the element
+		const element = this.#generate(item, recycled);
+
+		// Returning the recycled element into the pool (it was not reused)
+		if (recycled !== null && element !== recycled) this.#pool.push(recycled);
+
+		// Writing the element into registry of rendered elements
+		this.#keys.set(this.#key(item), element);
+
+		// Writing the item of the element
+		this.#data.set(element, item);
+
+		// Writing logical index of the element
+		this.#indexes.set(element, index);
+
+		// Exit (success)
+		return element;
+	}
+
+	/**
+	 * @name Recycle
+	 *
+	 * @description
+	 * Delete the rendered element from the shell into the pool (`this.virtual`)
+	 *
+	 * @param {HTMLElement} element The rendered element
+	 *
+	 * @protected
+	 */
+	#recycle(element) {
+		// Deleting the element from the shell
+		element.remove();
+
+		// Deleting the element from the logical order
+		this.#items = this.#items.filter((rendered) => rendered !== element);
+
+		// Detaching the element from the hotline instance
+		this.#detach(element);
+
+		// Writing the element into the pool
+		this.#pool.push(element);
+	}
+
+	/**
+	 * @name Reach
+	 *
+	 * @description
+	 * Read the element by logical index (with `this.virtual` elements are rendered from it if it is not rendered)
+	 *
+	 * @param {number} index Logical index
+	 *
+	 * @return {(HTMLElement|null)} The element
+	 *
+	 * @protected
+	 */
+	#reach(index) {
+		// Exit (success)
+		if (this.#list === null) return this.#items[index] ?? null;
+
+		// Initializing the rendered element
+		let element = this.#items.find((rendered) => this.#indexes.get(rendered) === index);
+
+		if (element === undefined) {
+			// The element is not rendered
+
+			// Rendering elements from the logical index
+			this.#mutate(() => this.#window(index));
+
+			// Initializing the rendered element
+			element = this.#items[0];
+		}
+
+		// Exit (success)
+		return element ?? null;
+	}
+
+	/**
+	 * @name Feed
+	 *
+	 * @description
+	 * Connect the source of messages (live tickers: scores, prices, alerts)
+	 *
+	 * Items are rendered by `this.render` and written where elements will next come into view
+	 * (before the first visible element or after the last visible element by direction of movement),
+	 * so they do not appear in the shell at once. Items with the same key (`this.key`) are rendered again.
+	 * Items of the feed above `maxItems` (the oldest) and expired by `ttl` are deleted when they are outside the shell.
+	 * Items are deleted in order of receiving: while the oldest item is visible newer items are kept,
+	 * deleting is repeated after transfers of elements and by the timer.
+	 *
+	 * @param {(EventTarget|AsyncIterable|AsyncIterator)} source Source of messages (EventSource, WebSocket, a mock EventTarget...)
+	 * @param {object} [options]
+	 * @param {string} [options.type="message"] Type of events of the EventTarget
+	 * @param {function} [options.parse] Function that reads the item from the event (`event.data` or `event.detail` by default, undefined is ignored)
+	 * @param {number} [options.maxItems=Infinity] Maximum amount of items of the feed
+	 * @param {number} [options.ttl=0] Time (ms) to live of items of the feed (0 - endless)
+	 *
+	 * @return {object} The feed ({ source, items, disconnect() })
+	 *
+	 * @throws {exception} Not a source of messages, not a template function or the hotline instance is destroyed
+	 */
+	feed(
+		source,
+		{
+			type = "message",
+			parse = (event) => ("data" in event ? event.data : event.detail),
+			maxItems = Infinity,
+			ttl = 0
+		} = {}
+	) {
+		if (this.#status === "destroyed") {
+			// The hotline instance is destroyed
+
+			// Exit (fail)
+			throw new exception("The hotline instance is destroyed", "transition", {
+				from: this.#status
+			});
+		}
+
+		if (typeof this.render !== "function") {
+			// Not found the template function
+
+			// Exit (fail)
+			throw new exception("The render function must be a function", "render", {
+				render: this.render
+			});
+		}
+
+		if (
+			typeof source?.addEventListener !== "function" &&
+			typeof source?.[Symbol.asyncIterator] !== "function" &&
+			typeof source?.next !== "function"
+		) {
+			// Not a source of messages
+
+			// Exit (fail)
+			throw new exception(
+				"The source must be an EventTarget, an async iterable or an async iterator",
+				"feed",
+				{ source }
+			);
+		}
+
+		// Initializing items of the data source (elements are virtualized)
+		if (this.virtual && this.#list === null) this.update([]).catch(() => {});
+
+		// Initializing link to the instance
+		const instance = this;
+
+		// Initializing registry of items of the feed (key => time of receiving, the oldest first)
+		const entries = new Map();
+
+		// Initializing indicator of the connected feed
+		let connected = true;
+
+		// Initializing function for disconnecting the source
+		let close = null;
+
+		// Initializing function for deleting items above the maximum and expired items
+		const prune = () => {
+			// Initializing time
+			const now = Date.now();
+
+			// Initializing amount of items above the maximum
+			let excess = entries.size - maxItems;
+
+			for (const [key, time] of entries) {
+				// Iterating over items of the feed (the oldest first)
+
+				// The item must be kept (newer items are kept too)
+				if (excess <= 0 && (!(ttl > 0) || now - time < ttl)) break;
+
+				// The element of the item is visible (it is deleted after it went beyond the shell, newer items are kept)
+				if (!instance.#evict(key)) break;
+
+				// Deleting the item from registry of items of the feed (it was deleted or it was deleted by others)
+				entries.delete(key);
+
+				// Writing amount of items above the maximum
+				--excess;
+			}
+		};
+
+		// Initializing function for receiving items
+		const receive = (item) => {
+			// The feed is disconnected or the item is ignored
+			if (!connected || item === undefined || instance.#status === "destroyed") return;
+
+			try {
+				// Writing the element of the item
+				instance.#admit(item);
+			} catch (error) {
+				// Failed rendering the element
+
+				// Dispatching the error
+				instance.#fail(error);
+
+				// Exit (fail)
+				return;
+			}
+
+			// Initializing key of the item
+			const key = instance.#key(item);
+
+			// Writing time of receiving the item (the item becomes the newest)
+			entries.delete(key);
+			entries.set(key, Date.now());
+
+			// Deleting items above the maximum and expired items
+			prune();
+		};
+
+		if (typeof source.addEventListener === "function") {
+			// EventTarget
+
+			// Initializing the event listener
+			const listener = (event) => {
+				// Initializing the item
+				let item;
+
+				try {
+					// Reading the item from the event
+					item = parse(event);
+				} catch (error) {
+					// Failed reading the item
+
+					// Dispatching the error
+					instance.#fail(error);
+
+					// Exit (fail)
+					return;
+				}
+
+				// Receiving the item
+				receive(item);
+			};
+
+			// Connecting the event listener
+			source.addEventListener(type, listener);
+
+			// Writing function for disconnecting the source
+			close = () => source.removeEventListener(type, listener);
+		} else {
+			// Async iterable or async iterator
+
+			// Initializing the iterator
+			const iterator =
+				typeof source[Symbol.asyncIterator] === "function"
+					? source[Symbol.asyncIterator]()
+					: source;
+
+			(async () => {
+				try {
+					while (connected) {
+						// Receiving items
+
+						// Pulling the next item
+						const { value, done } = await iterator.next();
+
+						// The source is finished
+						if (done) break;
+
+						// Receiving the item
+						receive(value);
+					}
+				} catch (error) {
+					// Failed the source
+
+					// Dispatching the error
+					if (connected) instance.#fail(error);
+				}
+			})();
+
+			// Writing function for disconnecting the source (`finally` blocks of generators are executed)
+			close = () =>
+				Promise.resolve()
+					.then(() => iterator.return?.())
+					.catch(() => {});
+		}
+
+		// Initializing timer for deleting items (items visible at the moment of receiving are deleted later)
+		const timer =
+			ttl > 0 || maxItems !== Infinity
+				? setInterval(prune, ttl > 0 ? Math.min(ttl, 1000) : 1000)
+				: null;
+
+		// Initializing the feed
+		const feed = {
+			source,
+			get items() {
+				// Exit (success)
+				return [...entries.keys()];
+			},
+			disconnect() {
+				// The feed is already disconnected
+				if (!connected) return;
+
+				// Writing indicator of the connected feed
+				connected = false;
+
+				// Disconnecting the source
+				close();
+
+				// Stopping the timer for deleting items
+				if (timer !== null) clearInterval(timer);
+
+				// Deleting the feed from registry of feeds
+				instance.#feeds.delete(feed);
+			}
+		};
+
+		// Writing the feed into registry of feeds
+		this.#feeds.set(feed, prune);
+
+		// Exit (success)
+		return feed;
+	}
+
+	/**
+	 * @name Admit
+	 *
+	 * @description
+	 * Write the element of the item where elements will next come into view (`this.feed()`)
+	 *
+	 * With movement to the end it is before the first visible element, with movement to the beginning it is after the last visible element.
+	 *
+	 * @param {*} item The item
+	 *
+	 * @throws {exception} Invalid rendered element
+	 *
+	 * @protected
+	 */
+	#admit(item) {
+		// Initializing key of the item
+		const key = this.#key(item);
+
+		if (this.#list === null ? this.#keys.has(key) : this.#positions.has(key)) {
+			// The item with the same key
+
+			// Rendering the element again
+			this.#receive(item);
+
+			// Exit (success)
+			return;
+		}
+
+		// Initializing the layout model
+		if (this.#layout === null) this.#measure();
+
+		// Initializing indicator of movement to the beginning (elements come into view from the end)
+		const backward = this.#distance(1000) < 0;
+
+		if (this.#list !== null) {
+			// Elements are virtualized
+
+			// Initializing the first element
+			const first = this.#items[0];
+
+			// Initializing logical index of the first element
+			let origin = first === undefined ? 0 : this.#indexes.get(first);
+
+			// Initializing logical index of the item (before the first element by default)
+			let index = origin;
+
+			if (backward && first !== undefined) {
+				// Elements come into view from the end
+
+				// Initializing coordinate of the beginning of the element
+				let coordinate = this.#read();
+
+				// Initializing the element after the end of the shell
+				const next = this.#items.find((element) => {
+					// The element is after the end of the shell (exit)
+					if (coordinate >= this.#layout.size) return true;
+
+					// Initializing shape of the element
+					const shape = this.#shape(element);
+
+					// Writing coordinate of the beginning of the next element
+					coordinate += shape.size + shape.offset;
+
+					// Exit (fail)
+					return false;
+				});
+
+				// Writing logical index of the item (before the element after the end of the shell or after the last element)
+				index =
+					next === undefined
+						? this.#indexes.get(this.#items[this.#items.length - 1]) + 1
+						: this.#indexes.get(next);
+			}
+
+			// Writing the item
+			this.#list.splice(index, 0, item);
+
+			// Writing logical indexes of the item and items after it
+			this.#register(index);
+
+			// Writing logical index of the first element (it was moved by the item)
+			if (first !== undefined && index <= origin) ++origin;
+
+			// Rendering elements from the same element
+			this.#mutate(() => this.#window(origin));
+
+			// Exit (success)
+			return;
+		}
+
+		// Initializing coordinate of the beginning of the element
+		let coordinate = this.#read();
+
+		// Initializing the visible element next to which the item is written
+		let boundary = null;
+
+		for (const element of this.#shell.children) {
+			// Iterating over elements
+
+			// Initializing shape of the element
+			const shape = this.#shape(element);
+
+			if (!this.#clones.has(element) && coordinate + shape.size > 0 && coordinate < this.#layout.size) {
+				// The visible element (clones are skipped)
+
+				// Writing the element
+				boundary = element;
+
+				// Found the first visible element (elements come into view from the beginning)
+				if (!backward) break;
+			}
+
+			// Writing coordinate of the beginning of the next element
+			coordinate += shape.size + shape.offset;
+		}
+
+		// Rendering the element
+		const element = this.#generate(item, null);
+
+		this.#mutate(() => {
+			if (boundary === null) {
+				// Not found visible elements
+
+				// Writing the element after the last element
+				if (this.#items.length > 0) this.#items[this.#items.length - 1].after(element);
+				else this.#shell.appendChild(element);
+
+				// Writing the element into the logical order
+				this.#items.push(element);
+			} else if (backward) {
+				// Elements come into view from the end
+
+				// Writing the element after the last visible element
+				boundary.after(element);
+
+				// Writing the element into the logical order
+				this.#items.splice(this.#items.indexOf(boundary) + 1, 0, element);
+			} else {
+				// Elements come into view from the beginning
+
+				// Writing the element before the first visible element
+				boundary.before(element);
+
+				// Writing the element into the logical order
+				this.#items.splice(this.#items.indexOf(boundary), 0, element);
+			}
+
+			// Exit (success)
+			return { added: [element], removed: [] };
+		});
+
+		// Writing the element into registry of rendered elements
+		this.#keys.set(key, element);
+
+		// Writing the item of the element
+		this.#data.set(element, item);
+	}
+
+	/**
+	 * @name Evict
+	 *
+	 * @description
+	 * Delete the item by key if its element is outside the shell (`this.feed()`)
+	 *
+	 * @param {*} key Key of the item
+	 *
+	 * @return {boolean} Was the item deleted? (true if it was already deleted)
+	 *
+	 * @protected
+	 */
+	#evict(key) {
+		if (this.#list !== null) {
+			// Elements are virtualized
+
+			// Initializing logical index of the item
+			const index = this.#positions.get(key) ?? -1;
+
+			// Not found the item
+			if (index === -1) return true;
+
+			// Initializing the rendered element of the item
+			const element = this.#keys.get(key);
+
+			// The element is visible
+			if (element !== undefined && this.#visible(element)) return false;
+
+			// Initializing the first element
+			const first = this.#items[0];
+
+			// Initializing logical index of the first element
+			let origin = first === undefined ? 0 : this.#indexes.get(first);
+
+			// Deleting the item
+			this.#list.splice(index, 1);
+
+			// Deleting logical index of the item
+			this.#positions.delete(key);
+
+			// Writing logical indexes of items after the item
+			this.#register(index);
+
+			// Writing logical index of the first element (it was moved by the item)
+			if (index < origin) --origin;
+
+			// Rendering elements from the same element
+			this.#mutate(() => this.#window(Math.min(origin, Math.max(this.#list.length - 1, 0))));
+
+			// Exit (success)
+			return true;
+		}
+
+		// Initializing the element of the item
+		const element = this.#keys.get(key);
+
+		// Not found the element
+		if (element === undefined || !this.#items.includes(element)) return true;
+
+		// The element or its clone is visible
+		if (
+			this.#visible(element) ||
+			[...this.#clones].some(([clone, source]) => source === element && this.#visible(clone))
+		)
+			return false;
+
+		// Deleting the element
+		this.remove(element);
+
+		// Exit (success)
+		return true;
+	}
+
+	/**
+	 * @name Visible
+	 *
+	 * @description
+	 * Is the element inside the shell? (from the layout model)
+	 *
+	 * @param {HTMLElement} element The element of `this.#shell`
+	 *
+	 * @return {boolean}
+	 *
+	 * @protected
+	 */
+	#visible(element) {
+		// Initializing size of the element
+		const size = this.#shape(element).size;
+
+		// Initializing coordinate of the beginning of the element
+		const beginning = this.#locate(element);
+
+		// Exit (success)
+		return beginning !== null && beginning + size > 0 && beginning < this.#layout.size;
+	}
+
+	/**
+	 * @name Validate
+	 *
+	 * @description
+	 * Validate the element for writing into the shell
+	 *
+	 * @param {HTMLElement} element The element
+	 *
+	 * @throws {exception} Not an element, a clone, virtualized elements or the hotline instance is destroyed
+	 *
+	 * @protected
+	 */
+	#validate(element) {
+		if (this.#status === "destroyed") {
+			// The hotline instance is destroyed
+
+			// Exit (fail)
+			throw new exception("The hotline instance is destroyed", "transition", {
+				from: this.#status
+			});
+		}
+
+		if (this.#list !== null) {
+			// Elements are rendered from the data source (`this.virtual`)
+
+			// Exit (fail)
+			throw new exception("Virtualized elements are changed only by `this.update()`", "virtual", {
+				items: this.items
+			});
+		}
+
+		if (!(element instanceof HTMLElement) || this.#clones.has(element)) {
+			// Not an element or a clone
+
+			// Exit (fail)
+			throw new exception("The element must be an HTMLElement (not a clone)", "element", {
+				element
+			});
+		}
+	}
+
+	/**
+	 * @name Mutate
+	 *
+	 * @description
+	 * Change elements of the shell keeping the position of elements
+	 *
+	 * @param {function} change Function that changes elements and returns { added, removed, moved, reused }
+	 *
+	 * @protected
+	 */
+	#mutate(change) {
+		// Initializing the layout model (sizes of elements before changes)
+		if (this.#layout === null) this.#measure();
+
+		// Initializing the first element before changes
+		const first = this.#shell.firstElementChild;
+
+		// Initializing registry of coordinates of elements before changes (HTMLElement => coordinate)
+		const coordinates = new Map();
+
+		// Initializing coordinate of the first element
+		let coordinate = this.#read();
+
+		for (const element of this.#shell.children) {
+			// Iterating over elements
+
+			// Writing coordinate of the element
+			coordinates.set(element, coordinate);
+
+			// Initializing shape of the element
+			const shape = this.#shape(element);
+
+			// Writing coordinate of the next element
+			coordinate += shape.size + shape.offset;
+		}
+
+		// Initializing elements before changes
+		const order = [...coordinates.keys()];
+
+		// Initializing the first visible element before changes (or the last element)
+		const view =
+			order.find((element) => coordinates.get(element) + this.#shape(element).size > 0) ??
+			order[order.length - 1] ??
+			null;
+
+		// Changing elements
+		const { added, removed, moved = [], reused = [] } = change();
+
+		// Initializing elements that were written into the shell (added, moved and rendered again)
+		const written = [...added, ...moved, ...reused];
+
+		// Deleting mutation records of changes (they are not made by others)
+		this.#watcher?.takeRecords();
+
+		// Initializing the element that will keep its position
+		let anchor = view;
+
+		// Initializing coordinate of the element
+		let position = coordinates.get(view) ?? 0;
+
+		if (view !== null && (view.parentElement !== this.#shell || written.includes(view))) {
+			// The first visible element was deleted or moved (the element in its place takes its position)
+
+			// Initializing the previous element that was not changed
+			const previous = order
+				.slice(0, order.indexOf(view))
+				.reverse()
+				.find((element) => element.parentElement === this.#shell && !written.includes(element));
+
+			// Initializing the element in place of the first visible element
+			anchor =
+				(previous === undefined ? this.#shell.firstElementChild : previous.nextElementSibling) ??
+				previous ??
+				null;
+
+			// Writing coordinate of the previous element (the first visible element was the last one)
+			if (anchor === previous && anchor !== undefined) position = coordinates.get(previous);
+		}
+
+		// Adapting the hotline instance to changes
+		this.#adapt(first, anchor, position, added, removed, reused);
+	}
+
+	/**
+	 * @name Watch (mutations)
+	 *
+	 * @description
+	 * Register elements added and deleted by others (`this.watch`)
+	 *
+	 * Transferring of elements and clones are ignored.
+	 *
+	 * @param {Array} mutations Mutation records
+	 *
+	 * @protected
+	 */
+	#watch(mutations) {
+		// Initializing added elements
+		const added = [];
+
+		// Initializing deleted elements
+		const removed = [];
+
+		for (const mutation of mutations) {
+			// Iterating over mutations
+
+			for (const node of mutation.addedNodes) {
+				// Iterating over added nodes
+
+				if (
+					node instanceof HTMLElement &&
+					node.parentElement === this.#shell &&
+					!this.#clones.has(node) &&
+					!this.#items.includes(node) &&
+					!added.includes(node)
+				) {
+					// Added by others
+
+					// Writing the element
+					added.push(node);
+				}
+			}
+
+			for (const node of mutation.removedNodes) {
+				// Iterating over deleted nodes
+
+				if (
+					this.#items.includes(node) &&
+					node.parentElement !== this.#shell &&
+					!removed.includes(node)
+				) {
+					// Deleted by others (not transferred)
+
+					// Writing the element
+					removed.push(node);
+				}
+			}
+		}
+
+		// Not changed by others
+		if (added.length === 0 && removed.length === 0) return;
+
+		// Initializing the first element before changes
+		const first = this.#first.element ?? null;
+
+		// Initializing indicator of the first element before changes is still in the shell
+		const kept = first instanceof HTMLElement && first.parentElement === this.#shell;
+
+		// Initializing position of the first element before changes
+		let position =
+			this.renderer === "transform"
+				? this.#translation
+				: kept
+				? parseFloat(first.style[this.vertical ? "marginTop" : "marginLeft"]) || 0
+				: this.#first.position ?? 0;
+
+		if (!kept && first instanceof HTMLElement) {
+			// The first element before changes was deleted (the next element will take its position)
+
+			// Initializing shape of the deleted element
+			const shape = this.#layout?.elements.get(first);
+
+			// Writing position of the next element
+			if (shape !== undefined) position += shape.size + shape.offset;
+		}
+
+		// Initializing the element that will keep its position
+		const anchor = kept
+			? first
+			: [...this.#shell.children].find((element) => !added.includes(element)) ?? null;
+
+		// Deleting elements from the logical order
+		this.#items = this.#items.filter((item) => !removed.includes(item));
+
+		for (const element of added) {
+			// Iterating over added elements
+
+			// Initializing the next registered element in the shell
+			let next = element.nextElementSibling;
+
+			// Search for the next registered element
+			while (next !== null && !this.#items.includes(next)) next = next.nextElementSibling;
+
+			// Writing the element into the logical order (before the next registered element)
+			if (next === null) this.#items.push(element);
+			else this.#items.splice(this.#items.indexOf(next), 0, element);
+		}
+
+		// Adapting the hotline instance to changes
+		this.#adapt(first, anchor, position, added, removed);
+	}
+
+	/**
+	 * @name Adapt
+	 *
+	 * @description
+	 * Adapt the hotline instance to changed elements
+	 *
+	 * The anchor element is kept in its position, so elements in the shell do not jump.
+	 *
+	 * @param {(HTMLElement|null)} first The first element before changes (contains position with the margin renderer)
+	 * @param {(HTMLElement|null)} anchor The element that was not changed
+	 * @param {number} position Coordinate of the anchor element before changes
+	 * @param {Array} added Added elements
+	 * @param {Array} removed Deleted elements
+	 * @param {Array} [reused=[]] Elements rendered for other items (reported as deleted and added)
+	 *
+	 * @protected
+	 */
+	#adapt(first, anchor, position, added, removed, reused = []) {
+		// Detaching deleted elements from the hotline instance
+		for (const element of removed) this.#detach(element);
+
+		// Initializing coordinate of the first element
+		let coordinate = position;
+
+		if (anchor instanceof HTMLElement && anchor.parentElement === this.#shell) {
+			// Found the anchor element
+
+			for (const element of this.#shell.children) {
+				// Iterating over elements before the anchor element
+
+				// Found the anchor element
+				if (element === anchor) break;
+
+				// Initializing shape of the element
+				const shape = this.#layout?.elements.get(element) ?? this.#gauge(element);
+
+				// Writing coordinate of the element (before the anchor element)
+				coordinate -= shape.size + shape.offset;
+			}
+		}
+
+		if (
+			this.renderer !== "transform" &&
+			first instanceof HTMLElement &&
+			first.parentElement === this.#shell &&
+			first !== this.#shell.firstElementChild
+		) {
+			// The position is written into another element (margin renderer)
+
+			// Deleting position of the first element before changes
+			first.style[this.vertical ? "marginTop" : "marginLeft"] = null;
+		}
+
+		// Writing position of the first element (translation is written to added elements too)
+		this.#place(coordinate);
+
+		// Writing the first element
+		this.#first.element = this.#shell.firstElementChild;
+		this.#first.position = coordinate;
+
+		// Deinitializing the layout model (clones will be regenerated)
+		this.#invalidate();
+
+		if (
+			this.events.get("items.changed") &&
+			(added.length > 0 || removed.length > 0 || reused.length > 0)
+		) {
+			// Requested triggering the "items.changed" event (elements were added or deleted)
+
+			// Dispatching event: "items.changed"
+			this.#shell.dispatchEvent(
+				new CustomEvent("hotline.items.changed", {
+					detail: {
+						added: [...added, ...reused],
+						removed: [...removed, ...reused],
+						items: [...this.#items]
+					}
+				})
+			);
+		}
+
+		if (!this.#enough()) {
+			// Not enough elements in the shell
+
+			if (this.#process !== null) {
+				// The hotline instance is started
+
+				// Writing the status that the hotline instance is stopped by lack of elements
+				this.#starved = true;
+
+				// Stopping the hotline instance
+				this.stop();
+			}
+
+			// Writing status of the proccess
+			if (this.#status === "ready") this.#transit("idle");
+		} else if (this.#status === "idle") {
+			// Enough elements in the shell now
+
+			// Writing status of the proccess
+			this.#transit("ready");
+
+			// Starting the hotline instance (it was stopped by lack of elements)
+			if (this.#starved) this.start();
+		}
+	}
+
+	/**
+	 * @name Detach
+	 *
+	 * @description
+	 * Restore the deleted element and delete it from registries of the hotline instance
+	 *
+	 * @param {HTMLElement} element The deleted element
+	 *
+	 * @protected
+	 */
+	#detach(element) {
+		// Initializing initial inline styles of the element
+		const styles = this.#snapshot.styles.get(element) ?? {
+			"margin-left": "",
+			"margin-top": "",
+			transform: ""
+		};
+
+		for (const property of ["margin-left", "margin-top", "transform"]) {
+			// Iterating over properties written by the hotline instance
+
+			// Restoring value of the property
+			element.style.setProperty(property, styles[property]);
+		}
+
+		if (this.#concealed.has(element)) {
+			// The element was hidden from assistive technologies by the hotline instance
+
+			// Showing the element to assistive technologies
+			element.removeAttribute("aria-hidden");
+
+			// Deleting the element from registry of hidden elements
+			this.#concealed.delete(element);
+		}
+
+		if (this.#resizer !== null && this.#observed.has(element)) {
+			// Observed sizes of the element
+
+			// Stopping observation for sizes of the element
+			this.#resizer.unobserve(element);
+
+			// Deleting from registry of observed elements
+			this.#observed.delete(element);
+		}
+
+		if (this.#data.has(element)) {
+			// The element was rendered from the data source
+
+			// Initializing key of the item
+			const key = this.#key(this.#data.get(element));
+
+			// Deleting the element from registry of rendered elements
+			if (this.#keys.get(key) === element) this.#keys.delete(key);
+
+			// Deleting the item of the element
+			this.#data.delete(element);
+		}
+
+		// Deleting logical index of the element
+		this.#indexes.delete(element);
+
+		// Deleting shape of the element from the layout model (it can be rendered again with another content)
+		this.#layout?.elements.delete(element);
+	}
+
+	/**
+	 * @name Style
+	 *
+	 * @description
+	 * Write inline style of the shell and register its previous value (restored by `this.stop()`)
+	 *
+	 * @param {string} property Property
+	 * @param {string} value Value
+	 *
+	 * @protected
+	 */
+	#style(property, value) {
+		// Registering previous value of the property (only the first writing in the run)
+		if (!(property in this.#written.shell))
+			this.#written.shell[property] = this.#shell.style.getPropertyValue(property);
+
+		// Writing value of the property
+		this.#shell.style.setProperty(property, value);
+	}
+
+	/**
+	 * @name Attribute
+	 *
+	 * @description
+	 * Write attribute of the shell and register its previous value (restored by `this.stop()`)
+	 *
+	 * @param {string} name Attribute
+	 * @param {string} value Value
+	 *
+	 * @protected
+	 */
+	#attribute(name, value) {
+		// Registering previous value of the attribute (only the first writing in the run)
+		if (!(name in this.#written.attributes))
+			this.#written.attributes[name] = this.#shell.getAttribute(name);
+
+		// Writing value of the attribute
+		this.#shell.setAttribute(name, value);
+	}
+
+	/**
+	 * @name Transit
+	 *
+	 * @description
+	 * Write the state of the hotline instance (`this.#status`)
+	 *
+	 * @param {string} to New state
+	 *
+	 * @throws {exception} The transition is not allowed (for example, starting a destroyed instance)
+	 *
+	 * @protected
+	 */
+	#transit(to) {
+		// Initializing the current state
+		const from = this.#status;
+
+		// Already in the state
+		if (from === to) return;
+
+		if (!this.#transitions[from]?.has(to)) {
+			// Not allowed transition
+
+			// Exit (fail)
+			throw new exception(
+				`Can not change state of the hotline instance from "${from}" to "${to}"`,
+				"transition",
+				{ from, to }
+			);
+		}
+
+		// Writing the state
+		this.#status = to;
+
+		if (this.#toggler !== null) {
+			// Initialized the button for pausing and resuming movement of elements
+
+			// Writing the state of the button
+			this.#toggler.element.setAttribute("aria-pressed", String(to === "paused"));
+		}
+
+		if (to === "ready" && from === "idle" && this.events.get("ready")) {
+			// Requested triggering the "ready" event
+
+			// Dispatching event: "ready"
+			this.#shell.dispatchEvent(new CustomEvent("hotline.ready"));
+		}
+
+		if (this.events.get("statechange")) {
+			// Requested triggering the "statechange" event
+
+			// Dispatching event: "statechange"
+			this.#shell.dispatchEvent(
+				new CustomEvent("hotline.statechange", {
+					detail: { from, to }
+				})
+			);
+		}
+	}
+
+	/**
+	 * @name Enough
+	 *
+	 * @description
+	 * Enough elements in `this.#shell` to move them?
+	 *
+	 * At least 2 elements are required (or 1 element with `this.fill`).
+	 *
+	 * @return {boolean}
+	 *
+	 * @protected
+	 */
+	#enough() {
+		// Initializing amount of elements (clones are not counted)
+		const count = (this.#shell?.childElementCount ?? 0) - this.#clones.size;
+
+		// Exit (success)
+		return count > 1 || (this.fill && count > 0);
+	}
+
+	/**
+	 * @name Freeze
+	 *
+	 * @description
+	 * Freeze movement of elements by themselves (the user hovers or moves elements)
+	 *
+	 * Only the running hotline instance is frozen (a paused instance stays paused).
+	 *
+	 * @param {Event} [event] Event that caused freezing
+	 *
+	 * @protected
+	 */
+	#freeze(event) {
+		if (this.#status === "running") {
+			// The hotline instance is running
+
+			// Writing status of the proccess
+			this.#transit("frozen");
+
+			if (this.events.get("move.freezed")) {
+				// Requested triggering the "move.freezed" event
+
+				// Dispatching event: "move.freezed"
+				this.#shell.dispatchEvent(
+					new CustomEvent("hotline.move.freezed", {
+						detail: { event }
+					})
+				);
+			}
+		}
+	}
+
+	/**
+	 * @name Unfreeze
+	 *
+	 * @description
+	 * Unfreeze movement of elements by themselves
+	 *
+	 * @param {Event} [event] Event that caused unfreezing
+	 *
+	 * @protected
+	 */
+	#unfreeze(event) {
+		if (this.#status === "frozen") {
+			// The hotline instance is frozen
+
+			// Writing status of the proccess
+			this.#transit("running");
+
+			if (this.events.get("move.unfreezed")) {
+				// Requested triggering the "move.unfreezed" event
+
+				// Dispatching event: "move.unfreezed"
+				this.#shell.dispatchEvent(
+					new CustomEvent("hotline.move.unfreezed", {
+						detail: { event }
+					})
+				);
+			}
+		}
+	}
+
+	/**
+	 * @name Track
+	 *
+	 * @description
+	 * Track velocity of elements moved by the user
+	 *
+	 * @param {number} coordinate Coordinate of the pointer
+	 * @param {number} timestamp Time (ms) of the movement
+	 *
+	 * @protected
+	 */
+	#track(coordinate, timestamp) {
+		// Initializing time elapsed since the previous movement
+		const elapsed = timestamp - this.#tracker.timestamp;
+
+		if (elapsed > 0) {
+			// Time has passed since the previous movement
+
+			// Initializing velocity of the movement
+			const velocity = ((coordinate - this.#tracker.coordinate) / elapsed) * 1000;
+
+			// Writing velocity of the movement (smoothed with the previous velocity)
+			this.#tracker.velocity = this.#tracker.velocity * 0.2 + velocity * 0.8;
+		}
+
+		// Writing the last coordinate of the pointer
+		this.#tracker.coordinate = coordinate;
+
+		// Writing time of the last movement of the pointer
+		this.#tracker.timestamp = timestamp;
+	}
+
+	/**
+	 * @name Throw
+	 *
+	 * @description
+	 * Start the inertial movement of elements
+	 *
+	 * @param {number} velocity Velocity (px per second)
+	 * @param {(HTMLElement|null)} target The element moved by the user
+	 * @param {Event} event The event that ended the movement by the user
+	 *
+	 * @protected
+	 */
+	#throw(velocity, target, event) {
+		// Writing the inertial movement
+		this.#fling = { velocity, initial: velocity, target, event };
+
+		if (this.events.get("fling.start")) {
+			// Requested triggering the "fling.start" event
+
+			// Dispatching event: "fling.start"
+			this.#shell.dispatchEvent(
+				new CustomEvent("hotline.fling.start", {
+					detail: { velocity }
+				})
+			);
+		}
+	}
+
+	/**
+	 * @name Glide
+	 *
+	 * @description
+	 * Move elements by inertia (executed in every frame of the process)
+	 *
+	 * @param {number} elapsed Time (ms) elapsed since the previous frame
+	 *
+	 * @protected
+	 */
+	#glide(elapsed) {
+		// Moving elements
+		this.move((this.#fling.velocity * elapsed) / 1000);
+
+		// Decreasing velocity by friction (scaled by elapsed time)
+		this.#fling.velocity *= Math.pow(
+			Math.min(Math.max(this.friction, 0), 1),
+			elapsed / (1000 / 60)
+		);
+
+		if (Math.abs(this.#fling.velocity) < this.#stillness) {
+			// Elements have stopped
+
+			// Stopping the inertial movement
+			const fling = this.#land();
+
+			// Releasing elements
+			this.#release(fling.target, fling.event);
+		}
+	}
+
+	/**
+	 * @name Land
+	 *
+	 * @description
+	 * Stop the inertial movement of elements
+	 *
+	 * @return {object} The stopped inertial movement
+	 *
+	 * @protected
+	 */
+	#land() {
+		// Initializing the inertial movement
+		const fling = this.#fling;
+
+		// Deinitializing the inertial movement
+		this.#fling = null;
+
+		if (this.events.get("fling.end")) {
+			// Requested triggering the "fling.end" event
+
+			// Dispatching event: "fling.end"
+			this.#shell.dispatchEvent(
+				new CustomEvent("hotline.fling.end", {
+					detail: { velocity: fling.velocity, initial: fling.initial }
+				})
+			);
+		}
+
+		// Exit (success)
+		return fling;
+	}
+
+	/**
+	 * @name Release
+	 *
+	 * @description
+	 * Release elements after they were moved by the user
+	 *
+	 * Elements start moving by themselves (if the user cursor is not over the shell with `this.hover`)
+	 * and the target element is magnetized (`this.magnetic`).
+	 *
+	 * @param {(HTMLElement|null)} target The element moved by the user
+	 * @param {Event} event The event that ended the movement by the user
+	 *
+	 * @protected
+	 */
+	#release(target, event) {
+		if ((!this.hover || !this.#hovered) && !this.#focused) {
+			// Not requested freezing on hover or the user cursor is not over `this.#shell` and content of elements is not focused
+
+			// Unfreezing the hotline instance (starting movement of elements by themselves)
+			this.#unfreeze(event);
+		}
+
+		if (this.snap) {
+			// Requested snapping elements after the user interaction
+
+			// Snapping the nearest element
+			this.#snap();
+		} else if (this.magnetic !== null) {
+			// Requested to magnetize the element moved by the user
+
+			// Initializing the target element
+			const element = this.#child(target);
+
+			// Magnetizing the target element
+			if (element !== null) this.magnetize(element, this.magnetic).catch(() => {});
+		}
+	}
+
+	/**
+	 * @name Visibility
+	 *
+	 * @description
+	 * Suspend or resume the process by visibility of `this.#shell` and the page
+	 *
+	 * @protected
+	 */
+	#visibility() {
+		// The process is not started
+		if (this.#process === null) return;
+
+		// Initializing indicator of the shell is not visible
+		const hidden = !this.#intersecting || document.visibilityState === "hidden";
+
+		// The status is not changed
+		if (hidden === this.#suspended) return;
+
+		// Writing the status of suspension
+		this.#suspended = hidden;
+
+		if (hidden) {
+			// The shell is not visible
+
+			// Stopping requesting frames of the process
+			cancelAnimationFrame(this.#process);
+
+			if (this.events.get("suspended")) {
+				// Requested triggering the "suspended" event
+
+				// Dispatching event: "suspended"
+				this.#shell.dispatchEvent(new CustomEvent("hotline.suspended"));
+			}
+		} else {
+			// The shell is visible
+
+			// Deinitializing time of the previous frame (the time of suspension is not elapsed)
+			this.#timestamp = null;
+
+			// Requesting the next frame
+			this.#process = requestAnimationFrame(this.#frame);
+
+			if (this.events.get("resumed")) {
+				// Requested triggering the "resumed" event
+
+				// Dispatching event: "resumed"
+				this.#shell.dispatchEvent(new CustomEvent("hotline.resumed"));
+			}
+		}
+	}
+
+	/**
+	 * @name Prefer
+	 *
+	 * @description
+	 * Pause or resume movement of elements by the user preference of reduced motion
+	 *
+	 * Movement that was paused by the user preference is resumed when the preference is changed
+	 * (movement paused by `this.pause()` stays paused).
+	 *
+	 * @protected
+	 */
+	#prefer() {
+		if (this.#preference?.matches) {
+			// The user prefers reduced motion
+
+			if (this.#status === "running" || this.#status === "frozen") {
+				// Elements are moving by themselves (or will be after unfreezing)
+
+				// Writing the status that movement is paused by the user preference
+				this.#reduced = true;
+
+				// Pausing movement of elements by themselves
+				this.pause();
+			}
+		} else if (this.#reduced) {
+			// The user does not prefer reduced motion anymore and movement was paused by the preference
+
+			// Writing the status that movement is not paused by the user preference
+			this.#reduced = false;
+
+			// Resuming movement of elements by themselves
+			if (this.#status === "paused") this.resume();
+		}
+	}
+
+	/**
+	 * @name Conceal
+	 *
+	 * @description
+	 * Hide elements outside the shell from assistive technologies (the "aria-hidden" attribute)
+	 *
+	 * Elements that already have the "aria-hidden" attribute and clones of elements are skipped.
+	 *
+	 * @protected
+	 */
+	#conceal() {
+		// Initializing coordinate of the beginning of the first element
+		let coordinate = this.#read();
+
+		for (const element of this.#shell.children) {
+			// Iterating over elements
+
+			// Initializing shape of the element
+			const shape = this.#shape(element);
+
+			// Initializing indicator of the element outside the shell
+			const outside = coordinate + shape.size <= 0 || coordinate >= this.#layout.size;
+
+			// Writing coordinate of the beginning of the next element
+			coordinate += shape.size + shape.offset;
+
+			if (this.#concealed.has(element)) {
+				// The element was hidden by the hotline instance
+
+				if (!outside) {
+					// The element is inside the shell
+
+					// Showing the element to assistive technologies
+					element.removeAttribute("aria-hidden");
+
+					// Deleting the element from registry of hidden elements
+					this.#concealed.delete(element);
+				}
+			} else if (outside && !this.#clones.has(element) && !element.hasAttribute("aria-hidden")) {
+				// The element is outside the shell
+
+				// Hiding the element from assistive technologies
+				element.setAttribute("aria-hidden", "true");
+
+				// Writing the element into registry of hidden elements
+				this.#concealed.add(element);
+			}
+		}
+	}
+
+	/**
+	 * @name Snap
+	 *
+	 * @description
+	 * Magnetize the element nearest to the magnetism area (`this.magnetic` or the beginning)
+	 *
+	 * @protected
+	 */
+	#snap() {
+		// Initializing the magnetism area
+		const magnetism = this.magnetic ?? this.#magnetism.beginning;
+
+		// Initializing the nearest element
+		const nearest = this.#nearest(magnetism);
+
+		// Magnetizing the nearest element (the forced stopping is ignored)
+		if (nearest !== null) this.magnetize(nearest, magnetism).catch(() => {});
+	}
+
+	/**
+	 * @name Nearest
+	 *
+	 * @description
+	 * Search for the element nearest to the magnetism area
+	 *
+	 * @param {magnetism.<symbol>} magnetism Magnetism area
+	 *
+	 * @return {(HTMLElement|null)} The nearest element (can be a clone)
+	 *
+	 * @protected
+	 */
+	#nearest(magnetism) {
+		// Initializing the nearest element
+		let nearest = null;
+
+		// Initializing offset of the nearest element from the area
+		let distance = Infinity;
+
+		for (const element of this.#shell.children) {
+			// Iterating over elements (clones are included, they are in the same row)
+
+			// Initializing offset of the element from the area
+			const offset = this.#offset(element, magnetism);
+
+			if (offset !== null && Math.abs(offset) < distance) {
+				// The element is nearer to the area
+
+				// Writing the nearest element
+				nearest = element;
+
+				// Writing offset of the nearest element from the area
+				distance = Math.abs(offset);
+			}
+		}
+
+		// Exit (success)
+		return nearest;
+	}
+
+	/**
+	 * @name Source
+	 *
+	 * @description
+	 * Read the source element of the clone
+	 *
+	 * @param {HTMLElement} element The element of `this.#shell` (can be a clone)
+	 *
+	 * @return {HTMLElement} The source element (the element itself if it is not a clone)
+	 *
+	 * @protected
+	 */
+	#source(element) {
+		// Exit (success)
+		return this.#clones.get(element) ?? element;
+	}
+
+	/**
+	 * @name Index
+	 *
+	 * @description
+	 * Read logical index of the target
+	 *
+	 * @param {(number|HTMLElement)} target Index (looped, can be negative) or the element (or its content, clones are mapped to sources)
+	 *
+	 * @return {(number|null)} Logical index, null if not found
+	 *
+	 * @protected
+	 */
+	#index(target) {
+		// Initializing amount of elements (items with `this.virtual`)
+		const count = (this.#list ?? this.#items).length;
+
+		// Not found elements
+		if (count === 0) return null;
+
+		if (typeof target === "number" && Number.isFinite(target)) {
+			// Index
+
+			// Exit (success)
+			return ((Math.trunc(target) % count) + count) % count;
+		}
+
+		// Initializing the element of the shell
+		const element = this.#child(target);
+
+		// Not found the element in the shell
+		if (element === null) return null;
+
+		// Initializing logical index of the source element
+		const index =
+			this.#list === null
+				? this.#items.indexOf(this.#source(element))
+				: this.#indexes.get(element) ?? -1;
+
+		// Exit (success)
+		return index === -1 ? null : index;
+	}
+
+	/**
+	 * @name Animate
+	 *
+	 * @description
+	 * Move elements by the running movement (executed in every frame of the process)
+	 *
+	 * @param {number} elapsed Time (ms) elapsed since the previous frame
+	 *
+	 * @protected
+	 */
+	#animate(elapsed) {
+		// Initializing movement to the element
+		const animation = this.#animation;
+
+		// Writing time elapsed since the beginning of movement
+		animation.elapsed += elapsed;
+
+		// Initializing progress of movement (from 0 to 1)
+		const progress =
+			animation.duration > 0 ? Math.min(animation.elapsed / animation.duration, 1) : 1;
+
+		// Initializing distance that must be passed (exactly the distance at the end)
+		const passed =
+			progress === 1
+				? animation.distance
+				: animation.distance * animation.movement.easing(progress);
+
+		// Moving elements
+		this.move(passed - animation.moved);
+
+		// Writing distance that was passed
+		animation.moved = passed;
+
+		// Transfering elements (the movement in one frame can be longer than the element)
+		this.#settle();
+
+		if (progress === 1) {
+			// Movement is completed
+
+			// Deinitializing movement to the element
+			this.#animation = null;
+
+			// Initializing remaining offset of the element from the area (rounding errors)
+			const offset = this.#offset(animation.element, animation.magnetism);
+
+			// Moving the element exactly into the area
+			if (offset !== null && offset !== 0 && Math.abs(offset) < 1) this.move(-offset);
+
+			// Completing the movement
+			this.#complete(animation.movement, null, animation.index);
+
+			// Starting the next movement
+			this.#proceed();
+		}
+	}
+
+	/**
+	 * @name Proceed
+	 *
+	 * @description
+	 * Start the next movement from `this.#queue` (if there is no running movement)
+	 *
+	 * @protected
+	 */
+	#proceed() {
+		while (this.#animation === null && this.#queue.length > 0) {
+			// Not found the running movement and found waiting movements
+
+			// Initializing the next movement
+			const movement = this.#queue.shift();
+
+			// Initializing the route of the movement (calculated now, elements could be moved while waiting)
+			const route = movement.route();
+
+			if (route === null) {
+				// Not found the element in the shell
+
+				// Completing the movement
+				this.#complete(
+					movement,
+					new exception("Not found the element in the shell", "target")
+				);
+
+				// Next movement
+				continue;
+			}
+
+			// Writing the running movement
+			this.#animation = {
+				...route,
+				movement,
+				moved: 0,
+				duration:
+					this.#process === null || this.#suspended
+						? 0
+						: Math.max(parseFloat(movement.duration) || 0, 0),
+				elapsed: 0
+			};
+
+			// Moving at once (the process will not execute movement)
+			if (this.#animation.duration === 0) this.#animate(0);
+		}
+	}
+
+	/**
+	 * @name Complete
+	 *
+	 * @description
+	 * Complete the movement (settle its Promise and disconnect from its AbortSignal)
+	 *
+	 * @param {object} movement The movement
+	 * @param {(exception|null)} error Reason of fail (null if the movement is completed)
+	 * @param {*} [value] Value of the completed movement
+	 *
+	 * @protected
+	 */
+	#complete(movement, error, value) {
+		// Disconnecting event listener for aborting the movement
+		if (movement.abort !== null) movement.signal.removeEventListener("abort", movement.abort);
+
+		// Exit (fail)
+		if (error !== null) movement.reject(error);
+		// Exit (success)
+		else movement.resolve(value);
+	}
+
+	/**
+	 * @name Interrupt
+	 *
+	 * @description
+	 * Stop the running movement and delete waiting movements (their Promises will be rejected)
+	 *
+	 * @param {string} message Reason of interruption
+	 *
+	 * @protected
+	 */
+	#interrupt(message) {
+		// Initializing movements
+		const movements = [...(this.#animation === null ? [] : [this.#animation.movement]), ...this.#queue];
+
+		// Deinitializing the running movement
+		this.#animation = null;
+
+		// Deinitializing waiting movements
+		this.#queue = [];
+
+		for (const movement of movements) {
+			// Iterating over movements
+
+			// Completing the movement
+			this.#complete(movement, new exception(message, "interrupted"));
+		}
+	}
+
+	/**
+	 * @name Abort
+	 *
+	 * @description
+	 * Stop the movement by its AbortSignal (the Promise will be rejected)
+	 *
+	 * @param {object} movement The movement
+	 *
+	 * @protected
+	 */
+	#abort(movement) {
+		if (this.#animation?.movement === movement) {
+			// The movement is running
+
+			// Deinitializing the running movement (elements stay where they are)
+			this.#animation = null;
+		} else {
+			// The movement is waiting
+
+			// Deleting the movement from the queue
+			this.#queue = this.#queue.filter((waiting) => waiting !== movement);
+		}
+
+		// Completing the movement
+		this.#complete(
+			movement,
+			new exception("Movement was aborted by the signal", "aborted", {
+				reason: movement.signal.reason
+			})
+		);
+
+		// Starting the next movement
+		this.#proceed();
+	}
+
+	/**
+	 * @name Child
+	 *
+	 * @description
+	 * Search for the element of `this.#shell` that contains the target
+	 *
+	 * @param {(EventTarget|null)} target Target (for example, `event.target`)
+	 *
+	 * @return {(HTMLElement|null)} The element of `this.#shell`
+	 *
+	 * @protected
+	 */
+	#child(target) {
+		// Initializing buffer of the element
+		let element = target;
+
+		// Initializing counter of iterations
+		let i = 100;
+
+		while (
+			element instanceof HTMLElement &&
+			element.parentElement !== this.#shell &&
+			--i !== 0
+		) {
+			// Search for the element
+
+			// Writing the possible element
+			element = element.parentElement;
+		}
 
-			// Writing the shell of elements
-			this.#shell = shell;
+		// Exit (success)
+		return element instanceof HTMLElement && element.parentElement === this.#shell
+			? element
+			: null;
+	}
+
+	/**
+	 * @name Locate
+	 *
+	 * @description
+	 * Calculate coordinate of the beginning of the element relative to the shell (from the layout model)
+	 *
+	 * @param {HTMLElement} element The element of `this.#shell`
+	 *
+	 * @return {(number|null)} Coordinate (px), null if the element is not found in the shell
+	 *
+	 * @protected
+	 */
+	#locate(element) {
+		// Initializing coordinate of the beginning of the first element
+		let coordinate = this.#read();
 
-			// Writing the hotline instance into the shell element
-			if (inject) this.#shell.hotline = this;
+		for (const child of this.#shell.children) {
+			// Iterating over elements
 
-			if (this.#shell.childElementCount > 1) {
-				// More than 2 elements in the `this.#shell`
+			// Found the element (exit)
+			if (child === element) return coordinate;
 
-				// Writing status of the proccess
-				this.#status = "ready";
+			// Initializing shape of the element
+			const shape = this.#shape(child);
 
-				if (this.events.get("ready")) {
-					// Requested triggering the "ready" event
+			// Writing coordinate of the beginning of the next element
+			coordinate += shape.size + shape.offset;
+		}
 
-					// Dispatching event: "ready"
-					this.#shell.dispatchEvent(new CustomEvent("hotline.ready"));
-				}
+		// Exit (fail)
+		return null;
+	}
+
+	/**
+	 * @name Jump
+	 *
+	 * @description
+	 * Move elements at once, so the element is in the area of the shell
+	 *
+	 * @param {(HTMLElement|undefined)} element The element of `this.#shell`
+	 * @param {string} area "beginning", "end" or "view" (fully into view with the shortest movement)
+	 *
+	 * @protected
+	 */
+	#jump(element, area) {
+		// Not found the element
+		if (!(element instanceof HTMLElement)) return;
+
+		// Initializing coordinate of the beginning of the element
+		const beginning = this.#locate(element);
+
+		// Not found the element in the shell
+		if (beginning === null) return;
+
+		// Initializing coordinate of the end of the element
+		const end = beginning + this.#shape(element).size;
+
+		// Initializing size of the shell
+		const size = this.#layout.size;
+
+		// Initializing distance of movement
+		let distance = 0;
+
+		if (area === "beginning" || (area === "view" && beginning < 0)) {
+			// The beginning of the element must be at the beginning of the shell
+
+			// Calculating distance of movement
+			distance = -beginning;
+		} else if (area === "end" || (area === "view" && end > size)) {
+			// The end of the element must be at the end of the shell
+
+			// Calculating distance of movement
+			distance = size - end;
+		}
+
+		if (distance !== 0) {
+			// The element is not in the area
+
+			// Moving elements
+			this.move(distance);
+
+			// Transfering elements until the first element is inside the shell
+			this.#settle();
+		}
+	}
+
+	/**
+	 * @name Navigate
+	 *
+	 * @description
+	 * Execute movement by the user keyboard (ignored until the previous one is completed)
+	 *
+	 * @param {function} movement Movement that returns a Promise (for example, `this.forward()`)
+	 *
+	 * @protected
+	 */
+	#navigate(movement) {
+		// The previous movement is not completed
+		if (this.#navigation !== null) return;
+
+		// Executing the movement
+		this.#navigation = movement()
+			.catch(() => {})
+			.finally(() => (this.#navigation = null));
+	}
+
+	/**
+	 * @name Connect
+	 *
+	 * @description
+	 * Connect event listener and write it into the registry of event listeners
+	 *
+	 * The previous event listener with the same name will be disconnected (no duplicates).
+	 *
+	 * @param {string} name Name in the registry of event listeners
+	 * @param {EventTarget} target Target of the event listener
+	 * @param {(string|Array)} types Types of events
+	 * @param {function} listener Event listener
+	 * @param {(object|boolean)} [options] Options of the event listener
+	 *
+	 * @protected
+	 */
+	#connect(name, target, types, listener, options) {
+		// Disconnecting the previous event listener with the same name
+		this.#disconnect(name);
+
+		// Initializing types of events
+		types = [types].flat();
+
+		for (const type of types) {
+			// Iterating over types of events
+
+			// Connecting the event listener
+			target.addEventListener(type, listener, options);
+		}
+
+		// Writing into the registry of event listeners
+		this.#listeners.set(name, { target, types, listener, options });
+	}
+
+	/**
+	 * @name Disconnect
+	 *
+	 * @description
+	 * Disconnect event listener and delete it from the registry of event listeners
+	 *
+	 * @param {string} name Name in the registry of event listeners
+	 *
+	 * @protected
+	 */
+	#disconnect(name) {
+		// Initializing the event listener from the registry
+		const connection = this.#listeners.get(name);
+
+		if (typeof connection === "object") {
+			// Found the event listener
+
+			for (const type of connection.types) {
+				// Iterating over types of events
+
+				// Disconnecting the event listener
+				connection.target.removeEventListener(
+					type,
+					connection.listener,
+					connection.options
+				);
 			}
+
+			// Deleting from the registry of event listeners
+			this.#listeners.delete(name);
 		}
 	}
 
 	/**
-	 * @name Start
+	 * @name Shift
 	 *
 	 * @description
-	 * Start the process of the hotline instance
+	 * Transfer the first element to the end or the last element to the beginning
+	 * when the first element went beyond the shell (if `this.transfer` is allowed)
+	 *
+	 * Position of elements is compensated, so elements stay in place.
+	 *
+	 * @return {boolean} The first element was beyond the shell (transfered, if allowed)
+	 *
+	 * @protected
 	 */
-	start() {
-		if (this.#process === null) {
-			// Not found working process of the hotline instance
+	#shift() {
+		// Rendering elements until they cover the shell (`this.virtual`)
+		if (this.#list !== null) this.#extend();
 
-			// Initializing link to the instance
-			const instance = this;
+		// Initializing the first element
+		this.#first.element = this.#shell.firstElementChild;
 
-			// Creating a process
-			this.#process = setInterval(() => {
-				// Initializing the first element
-				instance.#first.element = instance.#shell.firstElementChild;
+		if (this.#first.element instanceof HTMLElement) {
+			// Found the first element
 
-				// Initializing shape of the first element
-				instance.#first.rectangle = instance.#first.element.getBoundingClientRect();
+			// Initializing shape of the first element (from the layout model)
+			const shape = this.#shape(this.#first.element);
 
-				if (instance.vertical) {
-					// Vertical
+			// Initializing size of the first element
+			this.#first.size = shape.size;
 
-					// Initializing position of the first element (the movement is based on this property)
-					instance.#first.position =
-						parseFloat(instance.#first.element.style.marginTop) || 0;
+			// Initializing offset of the first element (elements are separated like this)
+			this.#first.offset = shape.offset;
 
-					// Initializing offset of the first element (elements are separated like this)
-					instance.#first.offset =
-						parseFloat(getComputedStyle(instance.#first.element).marginBottom) || 0;
+			// Initializing position of the first element (the movement is based on this property)
+			this.#first.position = this.#read();
 
-					// Initializing coordinate of the end of the first element
-					instance.#first.end =
-						instance.#first.rectangle.y +
-						instance.#first.rectangle.height +
-						instance.#first.offset;
-				} else {
-					// Horizontal
+			// Initializing coordinate of the end of the first element (relative to the shell)
+			this.#first.end =
+				this.#first.position + this.#first.size + this.#first.offset;
+
+			if (this.#first.end < 0) {
+				// The first element with its separator went beyond the shell
+
+				if (this.transfer === true && this.#transfer && this.#list !== null) {
+					// Transfer is requested and allowed by system, elements are virtualized
+
+					// Initializing logical index of the first element
+					const index = this.#indexes.get(this.#first.element);
+
+					// Recycling the first element (it will be rendered at the end by the loop)
+					this.#recycle(this.#first.element);
+
+					// Compensating position of elements for the recycled first element
+					this.#place(this.#first.end);
+
+					if (this.events.get("transfer.end")) {
+						// Requested triggering the "transfer.end" event
+
+						// Dispatching event: "transfer.end"
+						this.#shell.dispatchEvent(
+							new CustomEvent("hotline.transfer.end", {
+								detail: {
+									element: this.#first.element,
+									offset: -(this.#first.size + this.#first.offset),
+									index
+								}
+							})
+						);
+					}
+
+					// Pulling the next item from the async data source (errors are dispatched by the "items.error" event)
+					if (this.#stream !== null) this.#pull(1).catch(() => {});
+
+					// Rendering elements until they cover the shell
+					this.#extend();
+
+					// Deinitializing the first element
+					this.#first = {};
+				} else if (this.transfer === true && this.#transfer) {
+					// Transfer is requested and allowed by system
 
-					// Initializing position of the first element (the movement is based on this property)
-					instance.#first.position =
-						parseFloat(instance.#first.element.style.marginLeft) || 0;
+					// Transfer the first element to the end of the shell
+					this.#shell.appendChild(this.#first.element);
 
-					// Initializing offset of the first element (elements are separated like this)
-					instance.#first.offset =
-						parseFloat(getComputedStyle(instance.#first.element).marginRight) || 0;
+					if (this.renderer === "transform") {
+						// Transform renderer
 
-					// Initializing coordinate of the end of the first element
-					instance.#first.end =
-						instance.#first.rectangle.x +
-						instance.#first.rectangle.width +
-						instance.#first.offset;
+						// Compensating position of elements for the transfered first element
+						this.#translate(this.#first.end);
+					} else {
+						// Margin renderer
+
+						// Deleting position of the last (previously first) element (the movement is based on this property)
+						this.#first.element.style[
+							this.vertical ? "marginTop" : "marginLeft"
+						] = null;
+
+						// Writing position of the new first element (previously second)
+						this.#shell.firstElementChild.style[
+							this.vertical ? "marginTop" : "marginLeft"
+						] = this.#first.end + "px";
+					}
+
+					if (this.events.get("transfer.end")) {
+						// Requested triggering the "transfer.end" event
+
+						// Dispatching event: "transfer.end"
+						this.#shell.dispatchEvent(
+							new CustomEvent("hotline.transfer.end", {
+								detail: {
+									element: this.#first.element,
+									offset: -(this.#first.size + this.#first.offset),
+									index: this.#index(this.#first.element)
+								}
+							})
+						);
+					}
+
+					// Pulling the next item from the async data source (errors are dispatched by the "items.error" event)
+					if (this.#stream !== null) this.#pull(1).catch(() => {});
+
+					// Deinitializing the first element
+					this.#first = {};
 				}
 
-				if (
-					(instance.vertical &&
-						Math.round(instance.#first.end) < instance.#shell.offsetTop) ||
-					(!instance.vertical &&
-						Math.round(instance.#first.end) < instance.#shell.offsetLeft)
-				) {
-					// The first element with its separator went beyond the shell
+				// Exit (success)
+				return true;
+			} else if (this.#first.position > 0) {
+				// Beginning border of first element went beyond the beginning border of the shell
 
-					if (instance.transfer === true && instance.#transfer) {
-						// Transfer is requested and allowed by system
+				if (this.transfer === true && this.#transfer && this.#list !== null) {
+					// Transfer is requested and allowed by system, elements are virtualized
+
+					// Initializing amount of items
+					const count = this.#list.length;
+
+					// Initializing logical index of the previous item (looped)
+					const index = (((this.#indexes.get(this.#first.element) - 1) % count) + count) % count;
+
+					// Initializing the last element
+					const last = this.#items[this.#items.length - 1];
+
+					if (this.#indexes.get(last) === index) {
+						// The previous item is rendered as the last element (all items are rendered)
+
+						// Exit (success)
+						if (last === this.#first.element) return true;
+
+						// Recycling the last element
+						this.#recycle(last);
+					}
+
+					// Rendering the element of the previous item
+					this.#last.element = this.#produce(index);
+
+					// Transfer the rendered element to the beginning of the shell
+					this.#shell.insertBefore(this.#last.element, this.#first.element);
+
+					// Writing the element into the logical order
+					this.#items.unshift(this.#last.element);
+
+					// Initializing shape of the rendered element (from the layout model)
+					const shape = this.#shape(this.#last.element);
+
+					// Initializing size of the rendered element
+					this.#last.size = shape.size;
+
+					// Initializing offset of the rendered element (elements are separated like this)
+					this.#last.offset = shape.offset || this.#first.offset || 0;
+
+					// Initializing position of the rendered element with the end boundary beyond the beginning boundary of the shell
+					this.#last.position =
+						this.#first.position - this.#last.size - this.#last.offset;
+
+					// Deleting position of the second (previously first) element (margin renderer)
+					if (this.renderer !== "transform")
+						this.#first.element.style[this.vertical ? "marginTop" : "marginLeft"] = null;
+
+					// Writing position of the rendered element
+					this.#place(this.#last.position);
+
+					if (this.events.get("transfer.beginning")) {
+						// Requested triggering the "transfer.beginning" event
+
+						// Dispatching event: "transfer.beginning"
+						this.#shell.dispatchEvent(
+							new CustomEvent("hotline.transfer.beginning", {
+								detail: {
+									element: this.#last.element,
+									offset: this.#last.size + this.#last.offset,
+									index
+								}
+							})
+						);
+					}
+
+					// Recycling extra elements after the end of the shell
+					this.#extend();
+
+					// Deinitializing the first element
+					this.#first = {};
+				} else if (this.transfer === true && this.#transfer) {
+					// Transfer is requested and allowed by system
+
+					// Initializing the last element
+					this.#last.element = this.#shell.lastElementChild;
+
+					// Initializing shape of the last element (from the layout model)
+					const shape = this.#shape(this.#last.element);
+
+					// Initializing size of the last element
+					this.#last.size = shape.size;
+
+					// Initializing offset of the last element (elements are separated like this)
+					this.#last.offset = shape.offset || this.#first.offset || 0;
+
+					// Initializing position of the last element with the end boundary beyond the beginning boundary of the shell
+					this.#last.position =
+						this.#first.position - this.#last.size - this.#last.offset;
+
+					// Transfer the last element to the beginning of the shell
+					this.#shell.insertBefore(
+						this.#last.element,
+						this.#first.element
+					);
+
+					if (this.renderer === "transform") {
+						// Transform renderer
+
+						// Compensating position of elements for the transfered last element
+						this.#translate(this.#last.position);
+					} else {
+						// Margin renderer
+
+						// Writing position of the new first element (previously last)
+						this.#last.element.style[
+							this.vertical ? "marginTop" : "marginLeft"
+						] = this.#last.position + "px";
+
+						// Deleting position of the second (previously first) element (the movement is based on this property)
+						this.#first.element.style[
+							this.vertical ? "marginTop" : "marginLeft"
+						] = null;
+					}
+
+					if (this.events.get("transfer.beginning")) {
+						// Requested triggering the "transfer.beginning" event
+
+						// Dispatching event: "transfer.beginning"
+						this.#shell.dispatchEvent(
+							new CustomEvent("hotline.transfer.beginning", {
+								detail: {
+									element: this.#last.element,
+									offset: this.#last.size + this.#last.offset,
+									index: this.#index(this.#last.element)
+								}
+							})
+						);
+					}
+
+					// Deinitializing the first element
+					this.#first = {};
+				}
+
+				// Exit (success)
+				return true;
+			}
+		}
+
+		// Exit (fail)
+		return false;
+	}
+
+	/**
+	 * @name Settle
+	 *
+	 * @description
+	 * Transfer elements until the first element is inside the shell
+	 *
+	 * Used after moving elements by a long distance at once.
+	 *
+	 * @protected
+	 */
+	#settle() {
+		// Transfer is not requested or not allowed by system
+		if (this.transfer !== true || !this.#transfer) return;
+
+		// Initializing counter of iterations
+		let i = 1000;
+
+		// Transfering elements
+		while (this.#shift() && --i !== 0);
+	}
+
+	/**
+	 * @name Measure
+	 *
+	 * @description
+	 * Initialize the layout model (`this.#layout`) by reading sizes of `this.#shell` and its elements
+	 *
+	 * All reads are done together, so the layout is calculated by the browser only once.
+	 *
+	 * @protected
+	 */
+	#measure() {
+		// Initializing shape of the shell
+		const shell = this.#shell.getBoundingClientRect();
+
+		// Initializing the layout model
+		this.#layout = {
+			size: this.vertical ? shell.height : shell.width,
+			elements: new Map()
+		};
+
+		for (const element of this.#shell.children) {
+			// Iterating over elements
+
+			// Measuring the element
+			this.#shape(element);
+		}
+
+		if (this.fill && this.#process !== null && this.#list === null) {
+			// Requested cloning elements and the hotline instance is started
+
+			// Initializing clones of deleted source elements
+			const stale = [...this.#clones]
+				.filter(([, source]) => source.parentElement !== this.#shell)
+				.map(([clone]) => clone);
+
+			// Deleting clones of deleted source elements
+			if (stale.length > 0) this.#unfill(stale);
+
+			// Initializing length of source elements with their separators
+			let length = 0;
+
+			for (const element of this.#shell.children) {
+				// Iterating over elements
+
+				// Clones are skipped
+				if (this.#clones.has(element)) continue;
+
+				// Initializing shape of the element
+				const shape = this.#shape(element);
+
+				// Writing length of source elements
+				length += shape.size + shape.offset;
+			}
+
+			if (
+				stale.length > 0 ||
+				this.#filled === null ||
+				this.#filled.size !== this.#layout.size ||
+				this.#filled.length !== length
+			) {
+				// Sources or the shell were changed (clones inside the shell are kept)
+
+				// Writing clones of elements until they cover the shell
+				this.#clone();
+
+				// Writing size of the shell and length of source elements
+				this.#filled = { size: this.#layout.size, length };
+			}
+		}
+	}
+
+	/**
+	 * @name Clone
+	 *
+	 * @description
+	 * Clone elements until they cover the shell plus one element (`this.fill`)
+	 *
+	 * Clones are appended to the end of `this.#shell` continuing the logical order of elements.
+	 * Extra clones after the end of the shell are deleted, clones inside the shell are kept.
+	 *
+	 * @protected
+	 */
+	#clone() {
+		// Initializing source elements in the logical order
+		const sources = this.#items.filter((element) => element.parentElement === this.#shell);
+
+		// Not found source elements
+		if (sources.length === 0) return;
+
+		// Initializing length of elements with their separators
+		let length = 0;
+
+		// Initializing the largest source element with its separator
+		let largest = 0;
+
+		for (const element of this.#shell.children) {
+			// Iterating over elements
+
+			// Initializing shape of the element
+			const shape = this.#shape(element);
+
+			// Writing length of elements
+			length += shape.size + shape.offset;
+
+			// Writing the largest source element
+			if (!this.#clones.has(element)) largest = Math.max(largest, shape.size + shape.offset);
+		}
+
+		// Initializing length that must be covered by elements
+		const required = this.#layout.size + largest;
+
+		// Initializing counter of iterations
+		let i = 1000;
+
+		while (length > 0 && length < required && --i !== 0) {
+			// Elements do not cover the shell plus one element
+
+			// Initializing source element of the last element
+			const last = this.#source(this.#shell.lastElementChild);
 
-						// Transfer the first element to the end of the shell
-						instance.#shell.appendChild(instance.#first.element);
+			// Initializing the next source element (by the logical order)
+			const element = sources[(sources.indexOf(last) + 1) % sources.length];
 
-						if (instance.vertical) {
-							// Vertical
+			// Initializing the clone
+			const clone = element.cloneNode(true);
 
-							// Deleting position of the last (previously first) element (the movement is based on this property)
-							instance.#first.element.style.marginTop = null;
+			// Deleting identifiers (they must be unique in the document)
+			clone.removeAttribute("id");
+			for (const child of clone.querySelectorAll("[id]")) child.removeAttribute("id");
 
-							if (instance.events.get("transfer.end")) {
-								// Requested triggering the "transfer.end" event
+			// Hiding the clone from assistive technologies and disabling interaction with it
+			clone.setAttribute("aria-hidden", "true");
+			clone.setAttribute("inert", "");
 
-								// Dispatching event: "transfer.end"
-								instance.#shell.dispatchEvent(
-									new CustomEvent("hotline.transfer.end", {
-										detail: {
-											element: instance.#first.element,
-											offset: -(instance.#first.rectangle.height + instance.#first.offset)
-										}
-									})
-								);
-							}
+			// Deleting position of the clone (the movement is based on this property)
+			clone.style[this.vertical ? "marginTop" : "marginLeft"] = null;
 
-							// Deinitializing the first element
-							instance.#first = {};
-						} else {
-							// Horizontal
+			// Writing the clone into the shell
+			this.#shell.appendChild(clone);
 
-							// Deleting position of the last (previously first) element (the movement is based on this property)
-							instance.#first.element.style.marginLeft = null;
+			// Writing into registry of clones
+			this.#clones.set(clone, element);
 
-							if (instance.events.get("transfer.end")) {
-								// Requested triggering the "transfer.end" event
+			// Initializing shape of the clone (copied from the element)
+			const shape = this.#shape(element);
 
-								// Dispatching event: "transfer.end"
-								instance.#shell.dispatchEvent(
-									new CustomEvent("hotline.transfer.end", {
-										detail: {
-											element: instance.#first.element,
-											offset: -(instance.#first.rectangle.width + instance.#first.offset)
-										}
-									})
-								);
-							}
+			// Writing shape of the clone into the layout model
+			this.#layout.elements.set(clone, shape);
 
-							// Deinitializing the first element
-							instance.#first = {};
-						}
-					}
-				} else if (
-					(instance.vertical &&
-						Math.round(instance.#first.rectangle.y) > instance.#shell.offsetTop) ||
-					(!instance.vertical &&
-						Math.round(instance.#first.rectangle.x) > instance.#shell.offsetLeft)
-				) {
-					// Beginning border of first element with its separator went beyond the shell
+			// Writing length of elements
+			length += shape.size + shape.offset;
+		}
 
-					if (instance.transfer === true && instance.#transfer) {
-						// Transfer is requested and allowed by system
+		// Initializing coordinate of the end of elements
+		let coordinate = this.#read() + length;
 
-						// Initializing the last element
-						instance.#last.element = instance.#shell.lastElementChild;
+		while (this.#clones.has(this.#shell.lastElementChild)) {
+			// The last element is a clone
 
-						// Initializing shape of the last element
-						instance.#last.rectangle = instance.#last.element.getBoundingClientRect();
+			// Initializing the last clone
+			const clone = this.#shell.lastElementChild;
 
-						// Transfer the last element to the beginning of the shell
-						instance.#shell.insertBefore(
-							instance.#last.element,
-							instance.#first.element
-						);
+			// Initializing shape of the clone
+			const shape = this.#shape(clone);
 
-						if (instance.vertical) {
-							// Vertical
+			// Initializing coordinate of the beginning of the clone
+			const beginning = coordinate - shape.size - shape.offset;
 
-							// Initializing offset of the last element (elements are separated like this)
-							instance.#last.offset =
-								parseFloat(getComputedStyle(instance.#last.element).marginBottom) ||
-								instance.#first.offset ||
-								0;
+			// The clone is inside the shell or it is required to cover the shell
+			if (beginning < this.#layout.size || length - shape.size - shape.offset < required) break;
 
-							if (instance.events.get("transfer.beginning")) {
-								// Requested triggering the "transfer.beginning" event
+			// Deleting the clone from the shell
+			clone.remove();
 
-								// Dispatching event: "transfer.beginning"
-								instance.#shell.dispatchEvent(
-									new CustomEvent("hotline.transfer.beginning", {
-										detail: {
-											element: instance.#last.element,
-											offset: instance.#last.rectangle.height + instance.#last.offset
-										}
-									})
-								);
-							}
+			// Deleting the clone from registries
+			this.#clones.delete(clone);
+			this.#layout.elements.delete(clone);
 
-							// Initializing the position of the last element with the end boundary beyond the beginning boundary of the shell
-							instance.#last.element.style.marginTop =
-								-instance.#last.rectangle.height - instance.#last.offset + "px";
+			// Writing length of elements
+			length -= shape.size + shape.offset;
 
-							// Deleting position of the second (previously first) element (the movement is based on this property)
-							instance.#first.element.style.marginTop = null;
+			// Writing coordinate of the end of elements
+			coordinate = beginning;
+		}
+	}
 
-							// Deinitializing the first element
-							instance.#first = {};
-						} else {
-							// Horizontal
+	/**
+	 * @name Unfill
+	 *
+	 * @description
+	 * Remove clones generated by `this.fill`
+	 *
+	 * Position of elements is compensated for clones removed before the first visible kept element,
+	 * so elements stay in place.
+	 *
+	 * @param {Array} [clones] Clones that will be removed (all by default)
+	 *
+	 * @protected
+	 */
+	#unfill(clones = [...this.#clones.keys()]) {
+		// Initializing position of the first element
+		let position = this.#read();
 
-							// Initializing offset of the last element (elements are separated like this)
-							instance.#last.offset =
-								parseFloat(getComputedStyle(instance.#last.element).marginRight) ||
-								instance.#first.offset ||
-								0;
+		// Initializing coordinate of the beginning of the element
+		let coordinate = position;
 
-							if (instance.events.get("transfer.beginning")) {
-								// Requested triggering the "transfer.beginning" event
+		for (const element of [...this.#shell.children]) {
+			// Iterating over elements
 
-								// Dispatching event: "transfer.beginning"
-								instance.#shell.dispatchEvent(
-									new CustomEvent("hotline.transfer.beginning", {
-										detail: {
-											element: instance.#last.element,
-											offset: instance.#last.rectangle.width + instance.#last.offset
-										}
-									})
-								);
-							}
+			// Initializing shape of the element
+			const shape = this.#shape(element);
 
-							// Initializing the position of the last element with the end boundary beyond the beginning boundary of the shell
-							instance.#last.element.style.marginLeft =
-								-instance.#last.rectangle.width - instance.#last.offset + "px";
+			if (clones.includes(element)) {
+				// The clone will be removed (elements after it are moved to its place)
 
-							// Deleting position of the second (previously first) element (the movement is based on this property)
-							instance.#first.element.style.marginLeft = null;
+				// Writing position of the first element
+				position += shape.size + shape.offset;
+			} else if (coordinate + shape.size > 0) {
+				// The first visible kept element (clones after it do not affect the position)
 
-							// Deinitializing the first element
-							instance.#first = {};
-						}
-					}
-				} else {
-					// The first element is entirely inside the shell
+				break;
+			}
 
-					if (this.alive === true && this.#freezed === false) {
-						// Movement is requested and the hotline instance is not frozen
+			// Writing coordinate of the beginning of the next element
+			coordinate += shape.size + shape.offset;
+		}
 
-						// Moving elements
-						instance.move();
-					}
-				}
-			}, instance.interval);
+		for (const clone of clones) {
+			// Iterating over clones
 
-			if (this.hover) {
-				// Requested freezing the hotline instance when the user cursor is over the this.#shell
+			// Deleting the clone from the shell
+			clone.remove();
 
-				// Initializing event listener for hovering elements by the user
-				this.#listeners.set("hover", (hover) => {
-					// The user hovers the mouse cursor over `this.#shell`
+			// Deleting the clone from registry of clones
+			this.#clones.delete(clone);
 
-					// Freezing the hotline instance (stopping movement of elements by themselves)
-					instance.#freezed = true;
+			// Deleting the clone from the layout model
+			this.#layout?.elements.delete(clone);
+		}
 
-					if (instance.events.get("moving.freezed")) {
-						// Requested triggering the "moving.freezed" event
+		// Deinitializing size of the shell and length of source elements (all clones were removed)
+		if (this.#clones.size === 0) this.#filled = null;
 
-						// Dispatching event: "moving.freezed"
-						instance.#shell.dispatchEvent(
-							new CustomEvent("hotline.moving.freezed", {
-								detail: { event: hover }
-							})
-						);
-					}
-				});
+		// Writing position of the first element
+		if (this.#shell.firstElementChild instanceof HTMLElement) this.#place(position);
+	}
 
-				// Connecting event listener for hovering elements by the user
-				this.#shell.addEventListener("mouseover", this.#listeners.get("hover"));
-			} else {
-				// Not requested freezing the hotline instance when the user cursor is over the this.#shell
+	/**
+	 * @name Shape
+	 *
+	 * @description
+	 * Read shape of the element from the layout model (the element will be measured if not found)
+	 *
+	 * @param {HTMLElement} element Element of `this.#shell`
+	 *
+	 * @return {object} Shape of the element ({ size, offset })
+	 *
+	 * @protected
+	 */
+	#shape(element) {
+		// Initializing the layout model
+		if (this.#layout === null) this.#measure();
 
-				// Disconnecting event listener for hovering elements by the user
-				this.#shell.removeEventListener("mouseover", this.#listeners.get("hover"));
+		// Initializing shape of the element from the layout model
+		let shape = this.#layout.elements.get(element);
 
-				// Deinitializing event listener for hovering elements by the user
-				this.#listeners.delete("hover");
-			}
+		if (typeof shape === "undefined") {
+			// Not found the element in the layout model
 
-			if (this.wheel) {
-				// Requested moving elements by the user mouse whell
+			// Measuring the element
+			shape = this.#gauge(element);
 
-				// Initializing event listener for moving elements by the user mouse wheel
-				this.#listeners.set("wheel", (wheel) => {
-					// The user moves elements by the mouse wheel
-
-					if (instance.#status === "started") {
-						// The hotline instance is started
-
-						// Writing new position coordinate for the first element (moving)
-						instance.position(
-							(parseFloat(
-								instance.#shell.firstElementChild.style[
-									instance.vertical ? "marginTop" : "marginLeft"
-								]
-							) || 0) +
-								(instance.delta === null
-									? wheel.wheelDelta
-									: wheel.wheelDelta > 0
-									? instance.delta
-									: -instance.delta)
-						);
-					}
-				});
+			// Writing shape of the element into the layout model
+			this.#layout.elements.set(element, shape);
 
-				// Connecting event listener for moving elements by the user mouse wheel
-				this.#shell.addEventListener("wheel", this.#listeners.get("wheel"));
-			} else {
-				// Not requested moving elements by the user mouse whell
+			if (
+				this.#resizer !== null &&
+				!this.#observed.has(element) &&
+				!this.#clones.has(element)
+			) {
+				// Not observed sizes of the element (clones are not observed, they are regenerated)
 
-				// Disconnecting event listener for moving elements by the user mouse wheel
-				this.#shell.removeEventListener("wheel", this.#listeners.get("wheel"));
+				// Starting observation for sizes of the element
+				this.#resizer.observe(element);
 
-				// Deinitializing event listener for moving elements by the user mouse wheel
-				this.#listeners.delete("wheel");
+				// Writing into registry of observed elements
+				this.#observed.add(element);
 			}
+		}
 
-			// Initializing buffer for generating new position of the first element
-			let position = 0;
+		// Exit (success)
+		return shape;
+	}
 
-			// Initializing event listeners for transfered elements that moved by the user (mouse, touch)
-			const transfer = function (event) {
-				// The element was transfered while moved by the user (mouse, touch)
+	/**
+	 * @name Gauge
+	 *
+	 * @description
+	 * Measure the element (without the layout model)
+	 *
+	 * @param {HTMLElement} element The element
+	 *
+	 * @return {object} Shape of the element ({ size, offset })
+	 *
+	 * @protected
+	 */
+	#gauge(element) {
+		// Initializing rectangle of the element
+		const rectangle = element.getBoundingClientRect();
 
-				// Generating and writing position of the first element
-				position += event.detail.offset ?? 0;
-			};
+		// Initializing computed style of the element
+		const style = getComputedStyle(element);
 
-			if (instance.movable) {
-				// Requested moving elements by the user (mouse, touch)
+		// Exit (success)
+		return {
+			size: this.vertical ? rectangle.height : rectangle.width,
+			offset: parseFloat(this.vertical ? style.marginBottom : style.marginRight) || 0
+		};
+	}
+
+	/**
+	 * @name Invalidate
+	 *
+	 * @description
+	 * Deinitialize the layout model (will be measured again in the next frame)
+	 *
+	 * @protected
+	 */
+	#invalidate() {
+		// Deinitializing the layout model
+		this.#layout = null;
+	}
 
-				// Initializing event listener for starting moving elements by the user (mouse, touch)
-				instance.#listeners.set("move.start", (start) => {
-					// Elements have started to be moved by the user (mouse, touch)
+	/**
+	 * @name Read
+	 *
+	 * @description
+	 * Read position of the first element (margin or translation by `this.renderer`)
+	 *
+	 * @return {number} Position (px)
+	 *
+	 * @protected
+	 */
+	#read() {
+		if (this.renderer === "transform") {
+			// Transform renderer
 
-					if (start.type === "touchstart" || start.button === instance.button) {
-						// Pressing with a finger or a mouse button specified in `this.button` by the user (mouse, touch)
+			// Exit (success)
+			return this.#translation;
+		}
 
-						// Freezing the hotline instance (stopping movement of elements by themselves)
-						instance.#freezed = true;
+		// Exit (success)
+		return (
+			parseFloat(
+				this.#shell.firstElementChild?.style[
+					this.vertical ? "marginTop" : "marginLeft"
+				]
+			) || 0
+		);
+	}
 
-						if (instance.events.get("moving.freezed")) {
-							// Requested triggering the "moving.freezed" event
+	/**
+	 * @name Place
+	 *
+	 * @description
+	 * Write position of the first element (margin or translation by `this.renderer`)
+	 *
+	 * Unlike `this.position()`, events are not dispatched.
+	 *
+	 * @param {number} value Position (px)
+	 *
+	 * @protected
+	 */
+	#place(value) {
+		if (this.renderer === "transform") {
+			// Transform renderer
+
+			// Writing position to all elements
+			this.#translate(value);
+		} else if (this.#shell.firstElementChild instanceof HTMLElement) {
+			// Margin renderer
+
+			// Writing position to the first element
+			this.#shell.firstElementChild.style[
+				this.vertical ? "marginTop" : "marginLeft"
+			] = value + "px";
+		}
+	}
 
-							// Dispatching event: "moving.freezed"
-							instance.#shell.dispatchEvent(
-								new CustomEvent("hotline.moving.freezed", {
-									detail: { event: start }
-								})
-							);
-						}
+	/**
+	 * @name Translate
+	 *
+	 * @description
+	 * Write translation to all elements of `this.#shell` (transform renderer)
+	 *
+	 * Elements are moved with `transform: translate3d()`, so the layout is not recalculated.
+	 *
+	 * @param {number} value Position (px)
+	 *
+	 * @protected
+	 */
+	#translate(value) {
+		// Writing translation
+		this.#translation = value;
 
-						// Initializing the start coordinates of the movement by the user (mouse, touch)
-						const x = start.pageX || (start.touches && start.touches[0]?.pageX) || 0;
-						const y = start.pageY || (start.touches && start.touches[0]?.pageY) || 0;
+		// Initializing the transform value
+		const transform = this.vertical
+			? `translate3d(0, ${value}px, 0)`
+			: `translate3d(${value}px, 0, 0)`;
 
-						// Connecting event listener for transfer elements to the beginning
-						instance.#shell.addEventListener("hotline.transfer.beginning", transfer);
+		for (const element of this.#shell.children) {
+			// Iterating over elements
 
-						// Connecting event listener for transfer elements to the end
-						instance.#shell.addEventListener("hotline.transfer.end", transfer);
+			// Writing translation to the element
+			element.style.transform = transform;
+		}
+	}
 
-						// Initializing initial position
-						const initial = instance.#first.position;
+	/**
+	 * @name Roll
+	 *
+	 * @description
+	 * Calculate distance of movement by the "wheel" event (normalized and mapped onto the axis of elements)
+	 *
+	 * @param {WheelEvent} wheel The "wheel" event
+	 *
+	 * @return {number} Distance (px)
+	 *
+	 * @protected
+	 */
+	#roll(wheel) {
+		// Initializing multiplier of units of deltas (pixels, lines or pages)
+		const unit =
+			wheel.deltaMode === 1
+				? 16
+				: wheel.deltaMode === 2
+				? this.#layout?.size ?? this.#shell.getBoundingClientRect()[this.vertical ? "height" : "width"]
+				: 1;
+
+		// Initializing deltas (horizontal and vertical)
+		let x = (wheel.deltaX || 0) * unit;
+		let y = (wheel.deltaY || 0) * unit;
+
+		if (wheel.shiftKey && x === 0) {
+			// Horizontal scrolling by the vertical wheel (browsers without swapping of deltas)
+
+			// Swapping deltas
+			[x, y] = [y, 0];
+		}
 
-						// Initializing event listeners for moving elements by the user (cursor, touch)
-						instance.#listeners.set("moving", (move) => {
-							// The user moves elements (cursor, touch)
+		// Initializing delta of the axis of elements (another axis is used when it is dominant)
+		const delta = this.vertical
+			? Math.abs(y) >= Math.abs(x) ? y : x
+			: Math.abs(x) >= Math.abs(y) ? x : y;
 
-							if (instance.#status === "started") {
-								// The hotline instance is started
+		// Not scrolled
+		if (delta === 0) return 0;
 
-								// Writing the status that elements are currently being moved by the user
-								instance.#moving = true;
+		// Exit (success)
+		return this.delta === null ? -delta : -Math.sign(delta) * Math.abs(this.delta);
+	}
 
-								if (instance.vertical) {
-									// Vertical
+	/**
+	 * @name Unroll
+	 *
+	 * @description
+	 * Move elements by the wheel smoothly (executed in every frame of the process)
+	 *
+	 * @param {number} elapsed Time (ms) elapsed since the previous frame (Infinity - pass all at once)
+	 *
+	 * @protected
+	 */
+	#unroll(elapsed) {
+		// Initializing distance of movement in the frame (the remaining distance is decreased exponentially)
+		let distance = this.#rolling * (1 - Math.pow(0.7, elapsed / (1000 / 60)));
 
-									// Initializing coordinate
-									const coordinate =
-										move.pageY || (move.touches && move.touches[0].pageY) || 0;
+		// The remaining distance is less than a pixel (passing all)
+		if (Math.abs(this.#rolling - distance) < 0.5) distance = this.#rolling;
 
-									// Writing new position coordinate for the first element (moving)
-									instance.position(coordinate - (y + position - initial));
-								} else {
-									// Horizontal
+		// Writing the remaining distance
+		this.#rolling -= distance;
 
-									// Initializing coordinate
-									const coordinate =
-										move.pageX || (move.touches && move.touches[0].pageX) || 0;
+		// Moving elements
+		this.move(distance);
 
-									// Writing new position coordinate for the first element (moving)
-									instance.position(coordinate - (x + position - initial));
-								}
+		// Transfering elements (the movement in one frame can be longer than the element)
+		this.#settle();
+	}
 
-								if (move.type === "mousemove") {
-									// Elements are moved by the user using the mouse
-
-									if (instance.events.get("move.mouse")) {
-										// Requested triggering the "move.mouse" event
-
-										// Dispatching event: "move.mouse"
-										instance.#shell.dispatchEvent(
-											new CustomEvent("hotline.move.mouse", {
-												detail: { from: initial, to: instance.#first.position }
-											})
-										);
-									}
-								} else if (move.type === "touchmove") {
-									// Elements are moved by the user using touches
-
-									if (instance.events.get("move.touch")) {
-										// Requested triggering the "move.touch" event
-
-										// Dispatching event: "move.touch"
-										instance.#shell.dispatchEvent(
-											new CustomEvent("hotline.move.touch", {
-												detail: { from: initial, to: instance.#first.position }
-											})
-										);
-									}
-								}
-							}
-						});
+	/**
+	 * @name Consumable
+	 *
+	 * @description
+	 * Can elements be moved in the direction?
+	 *
+	 * @param {number} distance Distance (px) of movement
+	 *
+	 * @return {boolean}
+	 *
+	 * @protected
+	 */
+	#consumable(distance) {
+		// The hotline instance is not started
+		if (this.#process === null) return false;
 
-						// Connecting event listener for moving elements by the user mouse
-						document.addEventListener("mousemove", instance.#listeners.get("moving"));
+		// Elements are looped
+		if (this.transfer === true && this.#transfer) return true;
 
-						// Connecting event listener for moving elements by the user touches
-						document.addEventListener("touchmove", instance.#listeners.get("moving"));
-					}
-				});
+		// Initializing coordinate of the beginning of the first element
+		const beginning = this.#read() + this.#rolling;
 
-				// Connecting event listener for starting moving elements by the user mouse
-				instance.#shell.addEventListener(
-					"mousedown",
-					instance.#listeners.get("move.start")
-				);
+		// Elements are moved to the end (the first element must be behind the beginning of the shell)
+		if (distance > 0) return beginning < 0;
 
-				// Connecting event listener for starting moving elements by the user touch
-				instance.#shell.addEventListener(
-					"touchstart",
-					instance.#listeners.get("move.start")
-				);
+		// Initializing length of elements
+		let length = 0;
 
-				// Initializing event listener for leaving the user cursor from the document area
-				instance.#listeners.set("move.leaved", () => {
-					// The user mouse cursor is leave the document area
+		for (const element of this.#shell.children) {
+			// Iterating over elements
 
-					// Disconnecting event listener for moving elements by the user mouse
-					document.removeEventListener(
-						"mousemove",
-						instance.#listeners.get("moving")
-					);
+			// Initializing shape of the element
+			const shape = this.#shape(element);
 
-					// Deinitializing event listener for moving elements by the user touch
-					instance.#listeners.delete("moving");
+			// Writing length of elements
+			length += shape.size + shape.offset;
+		}
 
-					// Disconnecting event listener for leaving the user cursor from the document area
-					document.removeEventListener(
-						"mouseleave",
-						instance.#listeners.get("move.leaved")
-					);
-				});
+		// Exit (success)
+		return beginning + length > this.#layout.size;
+	}
 
-				// Connecting event listener for leaving the user cursor from the document area
-				document.addEventListener(
-					"mouseleave",
-					instance.#listeners.get("move.leaved")
-				);
+	/**
+	 * @name Boost (velocity)
+	 *
+	 * @description
+	 * Calculate distance of movement added by scrolling of the page (`this.scroll = "boost"`)
+	 *
+	 * @param {number} elapsed Time (ms) elapsed since the previous frame
+	 *
+	 * @return {number} Distance (px), can be fractional
+	 *
+	 * @protected
+	 */
+	#boost(elapsed) {
+		// Not requested or not started
+		if (this.scroll !== "boost" || this.#page === null || elapsed <= 0) return 0;
 
-				// Initializing event listeners for ending moving elements by the user (mouse, touch)
-				instance.#listeners.set("move.end", (end) => {
-					// Elements have ended to be moved by the user (mouse, touch)
+		// Initializing direction of movement (scrolling the page down accelerates elements)
+		const direction = Math.sign(this.#distance(1000)) || -1;
 
-					// Writing the status that elements are currently not being moved by the user
-					instance.#moving = false;
+		// Decreasing the added velocity (scaled by elapsed time)
+		this.#page.velocity *= Math.pow(
+			Math.min(Math.max(this.decay, 0), 1),
+			elapsed / (1000 / 60)
+		);
 
-					// Disconnecting event listener for moving elements by the user mouse
-					document.removeEventListener(
-						"mousemove",
-						instance.#listeners.get("moving")
-					);
+		if (this.#page.delta !== 0) {
+			// The page was scrolled
 
-					// Disconnecting event listener for moving elements by the user touch
-					document.removeEventListener(
-						"touchmove",
-						instance.#listeners.get("moving")
-					);
+			// Initializing velocity of scrolling (px per second)
+			const velocity = ((this.#page.delta * 1000) / elapsed) * this.boost * direction;
 
-					// Deinitializing event listener for moving elements by the user touch
-					instance.#listeners.delete("moving");
+			// Writing the added velocity (faster scrolling replaces decreasing velocity)
+			if (Math.abs(velocity) > Math.abs(this.#page.velocity)) this.#page.velocity = velocity;
 
-					// Reinitializing buffer for generating new position of the first element
-					position = 0;
+			// Deinitializing distance of scrolling
+			this.#page.delta = 0;
+		}
 
-					// Disconnecting event listener for transfer elements to the beginning
-					instance.#shell.removeEventListener(
-						"hotline.transfer.beginning",
-						transfer
-					);
+		// Exit (success)
+		return (this.#page.velocity * elapsed) / 1000;
+	}
 
-					// Disconnecting event listener for transfer elements to the end
-					instance.#shell.removeEventListener("hotline.transfer.end", transfer);
+	/**
+	 * @name Scrub
+	 *
+	 * @description
+	 * Move elements by progress of `this.#shell` through the viewport (`this.scroll = "scrub"`)
+	 *
+	 * @protected
+	 */
+	#scrub() {
+		// The page was not scrolled
+		if (!this.#page.scrolled) return;
 
-					if (instance.hover !== false || !instance.#shell.contains(end.target)) {
-						// Not requested freezing or not the user cursor hovered `instance.#shell`
+		// Writing the status that the scrolling is handled
+		this.#page.scrolled = false;
 
-						// Unfreezing the hotline instance (starting movement of elements by themselves)
-						instance.#freezed = false;
+		// Deinitializing distance of scrolling (not used by this mode)
+		this.#page.delta = 0;
 
-						if (instance.events.get("move.unfreezed")) {
-							// Requested triggering the "move.unfreezed" event
+		// Initializing rectangle of the shell (relative to the viewport)
+		const rectangle = this.#shell.getBoundingClientRect();
 
-							// Dispatching event: "move.unfreezed"
-							instance.#shell.dispatchEvent(new CustomEvent("hotline.move.unfreezed"));
-						}
-					}
+		// Initializing size of the viewport
+		const viewport = window.innerHeight || document.documentElement.clientHeight;
 
-					if (instance.magnetic !== null) {
-						// Requested to magnetize the first element
+		// Initializing progress of the shell through the viewport (from entering at the bottom to leaving at the top)
+		const progress = Math.min(
+			Math.max((viewport - rectangle.top) / (viewport + rectangle.height || 1), 0),
+			1
+		);
 
-						if (end.target === instance.#shell) {
-							// Target is `instance.#shell`
-						} else {
-							// Target is not `instance.#shell`
+		// Initializing progress of the previous frame
+		const previous = this.#page.progress;
 
-							// Initializing buffer of the target element
-							let element = end.target;
+		// Writing progress of the shell through the viewport
+		this.#page.progress = progress;
 
-							// Initializing counter of iterations
-							let i = 100;
+		// The first frame (position of elements is not changed)
+		if (previous === null || previous === progress) return;
 
-							while (element.parentElement !== instance.#shell && --i !== 0) {
-								// Search for the target element
+		// Initializing distance of movement for the full progress
+		let range = parseFloat(this.range);
 
-								// Writing the possible target element
-								element = element.parentElement;
-							}
+		if (!Number.isFinite(range)) {
+			// Not requested the distance
 
-							if (
-								element instanceof HTMLElement &&
-								element.parentElement === instance.#shell
-							) {
-								// Initialized the target element
+			// Writing the length of elements (one loop)
+			range = 0;
 
-								// Magnetizing the first element
-								instance.magnetize(element, instance.magnetic);
-							}
-						}
-					}
-				});
+			for (const element of this.#shell.children) {
+				// Iterating over elements
 
-				// Connecting event listeners for ending moving elements by the user mouse
-				instance.#shell.addEventListener(
-					"mouseup",
-					instance.#listeners.get("move.end")
-				);
+				// Initializing shape of the element
+				const shape = this.#shape(element);
 
-				// Connecting event listeners for ending moving elements by the user touch
-				instance.#shell.addEventListener(
-					"touchend",
-					instance.#listeners.get("move.end")
-				);
+				// Writing the length of elements
+				range += shape.size + shape.offset;
+			}
+		}
 
-				// Initializing event listeners for leaving the user mouse cursor from the shell
-				instance.#listeners.set("move.leave", (leave) => {
-					// The user mouse cursor leaved `this.#shell` area
+		// Moving elements (in the direction of `this.speed`)
+		this.move((progress - previous) * range * (Math.sign(this.#distance(1000)) || -1));
 
-					// Reinitializing buffer for generating new position of the first element
-					position = 0;
+		// Transfering elements (the movement in one frame can be longer than the element)
+		this.#settle();
+	}
 
-					if (instance.sticky === false) {
-						// Not requested to stick the user mouse cursor to `this.#shell`
+	/**
+	 * @name Accelerate
+	 *
+	 * @description
+	 * Change the multiplier of speed smoothly by the state (`this.acceleration`, `this.deceleration`)
+	 *
+	 * @param {number} elapsed Time (ms) elapsed since the previous frame
+	 *
+	 * @return {number} Multiplier of speed (from 0 to 1, `this.hoverSpeed` can be more)
+	 *
+	 * @protected
+	 */
+	#accelerate(elapsed) {
+		// Initializing multiplier of speed that must be reached
+		let target = 0;
+
+		if (this.#stopping) {
+			// Smoothly stopping
+
+			// Writing multiplier of speed (stop)
+			target = 0;
+		} else if (this.#status === "running") {
+			// Running
+
+			// Writing multiplier of speed (full speed)
+			target = 1;
+		} else if (
+			this.#status === "frozen" &&
+			this.hoverSpeed !== null &&
+			this.#hovered &&
+			this.#pointer === null &&
+			!this.#focused
+		) {
+			// Frozen only by the user cursor over the shell and requested slowing down instead of stopping
+
+			// Writing multiplier of speed (slow)
+			target = Math.max(parseFloat(this.hoverSpeed) || 0, 0);
+		}
 
-						// Writing the status that elements are currently not being moved by the user
-						instance.#moving = false;
+		if (this.#pointer !== null || this.#fling !== null || this.#animation !== null) {
+			// Elements are held by the user or moved by inertia or by `this.goTo()`
+
+			// Writing multiplier of speed (stop at once, elements will be accelerated after that)
+			this.#throttle = 0;
+		} else if (this.#throttle < target) {
+			// Accelerating
+
+			// Increasing multiplier of speed
+			this.#throttle =
+				this.acceleration > 0
+					? Math.min(this.#throttle + elapsed / this.acceleration, target)
+					: target;
+		} else if (this.#throttle > target) {
+			// Decelerating
+
+			// Decreasing multiplier of speed
+			this.#throttle =
+				this.deceleration > 0
+					? Math.max(this.#throttle - elapsed / this.deceleration, target)
+					: target;
+		}
 
-						// Disconnecting event listener for moving elements by the user mouse
-						document.removeEventListener(
-							"mousemove",
-							instance.#listeners.get("moving")
-						);
+		// Exit (success)
+		return this.#throttle;
+	}
 
-						// Disconnecting event listener for moving elements by the user touch
-						document.removeEventListener(
-							"touchmove",
-							instance.#listeners.get("moving")
-						);
+	/**
+	 * @name Distance
+	 *
+	 * @description
+	 * Calculate distance of movement for the elapsed time
+	 *
+	 * @param {number} elapsed Time (ms) elapsed since the previous frame
+	 *
+	 * @return {number} Distance (px), can be fractional
+	 *
+	 * @protected
+	 */
+	#distance(elapsed) {
+		// Initializing speed of movement (px per second)
+		const speed =
+			typeof this.speed === "number"
+				? this.speed
+				: (this.step * 1000) / (this.interval || 1);
 
-						// Deinitializing event listener for moving elements by the user touch
-						instance.#listeners.delete("moving");
+		// Exit (success)
+		return (speed * elapsed) / 1000;
+	}
 
-						// Disconnecting event listener for transfer elements to the beginning
-						instance.#shell.removeEventListener(
-							"hotline.transfer.beginning",
-							transfer
-						);
+	/**
+	 * @name Configure
+	 *
+	 * @description
+	 * Validate attribute and write parameter with its value
+	 *
+	 * @param {string} attribute HTMLElement attribute
+	 */
+	configure(attribute) {
+		// Initializing parameter name
+		const name = (/^data-hotline-(\w+)$/.exec(attribute) ?? [, null])[1];
 
-						// Disconnecting event listener for transfer elements to the end
-						instance.#shell.removeEventListener("hotline.transfer.end", transfer);
-					}
+		if (typeof name === "string") {
+			// Validated parameter name
 
-					// Unfreezing the hotline instance (starting movement of elements by themselves)
-					instance.#freezed = false;
+			// Is the parameter allowed to be change?
+			if (this.#ignored.has(name)) return;
+
+			// Initializing parameter value
+			const value = this.#shell.getAttribute(attribute);
 
-					if (instance.events.get("move.unfreezed")) {
-						// Requested triggering the "move.unfreezed" event
+			if (name === "magnetic" && typeof this.magnetism[value] === "symbol") {
+				// Validated magnetism area value
 
-						// Dispatching event: "move.unfreezed"
-						instance.#shell.dispatchEvent(new CustomEvent("hotline.move.unfreezed"));
-					}
-				});
+				// Writing implemented value to the parameter
+				this.magnetic = this.magnetism[value];
+			} else if (typeof value === "string") {
+				// Validated parameter value
 
-				// Connecting event listener for leaving the user mouse cursor from the shell
-				instance.#shell.addEventListener(
-					"mouseleave",
-					instance.#listeners.get("move.leave")
-				);
-			} else {
-				// Not requested moving elements by the user (mouse, touch)
+				if (value === "true" || value === "on" || value === "yes") {
+					// True
 
-				// Disconnecting event listener for starting moving elements by the user mouse
-				instance.#shell.removeEventListener(
-					"mousedown",
-					instance.#listeners.get("move.start")
-				);
+					// Writing implemented value to the parameter
+					this[name] = true;
+				} else if (value === "false" || value === "off" || value === "no") {
+					// False
 
-				// Disconnecting event listener for starting moving elements by the user touch
-				instance.#shell.removeEventListener(
-					"touchstart",
-					instance.#listeners.get("move.start")
-				);
+					// Writing implemented value to the parameter
+					this[name] = false;
+				} else {
+					// Number or string
 
-				// Deinitializing event listener for starting moving elements by the user (mouse, touch)
-				instance.#listeners.delete("move.start");
+					// Writing value to the parameter
+					this[name] = parseFloat(value) || value;
+				}
 
-				// Writing the status that elements are currently not being moved by the user
-				instance.#moving = false;
+				if (this.events.get("configured")) {
+					// Requested triggering the "configured" event
 
-				// Disconnecting event listener for moving elements by the user mouse
-				document.removeEventListener(
-					"mousemove",
-					instance.#listeners.get("moving")
-				);
+					// Dispatching event: "configured"
+					this.#shell.dispatchEvent(
+						new CustomEvent("hotline.configured", {
+							detail: {
+								name,
+								value: this[name]
+							}
+						})
+					);
+				}
+			}
+		}
+	}
 
-				// Disconnecting event listener for moving elements by the user touch
-				document.removeEventListener(
-					"touchmove",
-					instance.#listeners.get("moving")
-				);
+	/**
+	 * @name Position
+	 *
+	 * @description
+	 * Write position of the first element (margin to the left or the top)
+	 *
+	 * This method is used to move elements.
+	 *
+	 * @param {number} value Coordinate
+	 *
+	 * @return {number|null} Offset of new position from old position of the first element
+	 */
+	position(value) {
+		// Initializing old position of the first element
+		const old = this.#read();
 
-				// Deinitializing event listener for moving elements by the user touch
-				instance.#listeners.delete("moving");
+		// Initializing the first element
+		this.#first.element = this.#shell.firstElementChild;
 
-				// Reinitializing buffer for generating new position of the first element
-				position = 0;
+		if (this.#first.element instanceof HTMLElement) {
+			// Initialized the first element
 
-				// Disconnecting event listeners for ending moving elements by the user mouse
-				instance.#shell.removeEventListener(
-					"mouseup",
-					instance.#listeners.get("move.end")
-				);
+			// Writing new position of the first element to the property
+			this.#first.position = value;
 
-				// Disconnecting event listeners for ending moving elements by the user touch
-				instance.#shell.removeEventListener(
-					"touchend",
-					instance.#listeners.get("move.end")
-				);
+			// Writing new position of the first element to the element
+			this.#place(this.#first.position);
 
-				// Deinitializing event listener for ending moving elements by the user (mouse, touch)
-				instance.#listeners.delete("move.end");
+			if (this.events.get("position")) {
+				// Requested triggering the "position" event
 
-				// Disconnecting event listener for leaving the user mouse cursor from the shell
-				instance.#shell.addEventListener(
-					"mouseleave",
-					instance.#listeners.get("move.leave")
+				// Dispatching event: "position"
+				this.#shell.dispatchEvent(
+					new CustomEvent("hotline.position", {
+						detail: {
+							from: old,
+							to: value
+						}
+					})
 				);
-
-				// Deinitializing event listener for leaving the user mouse cursor from the shell
-				instance.#listeners.delete("move.leave");
 			}
 
-			// Writing status of the proccess
-			this.#status = "started";
-
-			if (instance.events.get("started")) {
-				// Requested triggering the "started" event
-
-				// Dispatching event: "started"
-				this.#shell.dispatchEvent(new CustomEvent("hotline.started"));
-			}
+			// Calculating offset of new position from old position and exit (success)
+			return value - (old || 0);
 		}
 
-		if (this.observe) {
-			// Requester observing for changing `this.#shell` attributes values
+		// Exit (fail)
+		return null;
+	}
 
-			if (this.#observer === null) {
-				// Not initialized the observer instance
+	/**
+	 * @name Move
+	 *
+	 * @description
+	 * Move the first element (margin to the left or the top)
+	 *
+	 * This method is used to move elements.
+	 *
+	 * @param {number} [step] step Direction and speed of movement (otherwise `this.step`)
+	 *
+	 * @return {number|null} Offset of new position from old position of the first element
+	 */
+	move(step) {
+		// Initializing obsolete position coordinate (`x` or `y` by `this.vertical`)
+		const obsolete = this.#read();
 
-				// Initializing the observer instance
-				this.#observer = new MutationObserver(function (mutations) {
-					// Detected mutation
+		// Initializing actual position coordinate (`x` or `y` by `this.vertical`)
+		const coordinate = obsolete + (step ?? this.step);
 
-					for (const mutation of mutations) {
-						// Iterating over mutations
+		// Writing new position coordinate to the first element (moving)
+		const moved = this.position(coordinate);
 
-						if (mutation.type === "attributes") {
-							// Attribute was changed
+		if (this.events.get("moving")) {
+			// Requested triggering the "moving" event
 
-							// Reinitializing property by new value of the attribute
-							this.configure(mutation.attributeName);
-						}
+			// Dispatching event: "moving"
+			document.dispatchEvent(
+				new CustomEvent("hotline.moving", {
+					detail: {
+						from: obsolete,
+						to: coordinate
 					}
+				})
+			);
+		}
 
-					// Restarting the hotline instance
-					this.restart();
-				});
-
-				// Starting observation for attributes mutations in the `this.#shell`
-				this.#observer.observe(this.#shell, {
-					attributes: true
-				});
+		// Exit (success)
+		return moved;
+	}
 
-				if (this.events.get("observer.started")) {
-					// Requested triggering the "observer.started" event
+	/**
+	 * @name Move forward
+	 *
+	 * @description
+	 * Move elements forward to the previous element (`this.previous()`)
+	 *
+	 * This method is used to move elements.
+	 *
+	 * @param {object} [options] Options of `this.goTo()`
+	 *
+	 * @return {Promise} Logical index of the element
+	 */
+	forward(options) {
+		return this.previous(options).then((index) => {
+			if (this.events.get("moved.forward")) {
+				// Requested triggering the "moved.forward" event
 
-					// Dispatching event: "observer.stopped"
-					this.#shell.dispatchEvent(
-						new CustomEvent("hotline.observer.started", {
-							detail: {
-								instance: this.#observer
-							}
-						})
-					);
-				}
+				// Dispatching event: "moved.forward"
+				this.#shell.dispatchEvent(new CustomEvent("hotline.moved.forward"));
 			}
-		} else if (this.#observer instanceof MutationObserver) {
-			// Not requested observing for changing `this.#shell` attributes values but found the observer instance
-
-			// Stoppingobservation for attributes mutations in the `this.#shell`
-			this.#observer.disconnect();
 
-			// Deleting the observer instance
-			this.#observer = null;
+			// Exit (success)
+			return index;
+		});
+	}
 
-			if (this.events.get("observer.stopped")) {
-				// Requested triggering the "observer.stopped" event
+	/**
+	 * @name Move backward
+	 *
+	 * @description
+	 * Move elements backward to the next element (`this.next()`)
+	 *
+	 * This method is used to move elements.
+	 *
+	 * @param {object} [options] Options of `this.goTo()`
+	 *
+	 * @return {Promise} Logical index of the element
+	 */
+	backward(options) {
+		return this.next(options).then((index) => {
+			if (this.events.get("moved.backward")) {
+				// Requested triggering the "moved.backward" event
 
-				// Dispatching event: "observer.stopped"
-				this.#shell.dispatchEvent(new CustomEvent("hotline.observer.stopped"));
+				// Dispatching event: "moved.backward"
+				this.#shell.dispatchEvent(new CustomEvent("hotline.moved.backward"));
 			}
-		}
+
+			// Exit (success)
+			return index;
+		});
 	}
 
 	/**
-	 * @name Stop
+	 * @name Current (get)
 	 *
 	 * @description
-	 * Stop the process of the hotline instance
+	 * Logical index of the element nearest to the magnetism area (`this.magnetic` or the beginning)
+	 *
+	 * Indexes are not changed by transfers, clones have indexes of their source elements.
+	 *
+	 * @return {(number|null)} null if there are no elements
+	 *
+	 * @public
 	 */
-	stop() {
-		// Stopping the process
-		clearInterval(this.#process);
+	get current() {
+		// Initializing the nearest element
+		const element = this.#nearest(this.magnetic ?? this.#magnetism.beginning);
 
-		// Deleting identifier of the proccess
-		this.#process = null;
-
-		// Writing status of the proccess
-		this.#status = "stopped";
+		// Exit (success)
+		return element === null ? null : this.#index(element);
+	}
 
-		if (this.events.get("stopped")) {
-			// Requested triggering the "stopped" event
+	/**
+	 * @name Next
+	 *
+	 * @description
+	 * Move elements to the next element (after `this.current`)
+	 *
+	 * The next element is calculated when the movement starts (`this.policy`).
+	 *
+	 * @param {object} [options] Options of `this.goTo()`
+	 *
+	 * @return {Promise} Logical index of the element
+	 */
+	next(options) {
+		// Exit (success)
+		return this.goTo(() => (this.current ?? -1) + 1, options);
+	}
 
-			// Dispatching event: "stopped"
-			this.#shell.dispatchEvent(new CustomEvent("hotline.stopped"));
-		}
+	/**
+	 * @name Previous
+	 *
+	 * @description
+	 * Move elements to the previous element (before `this.current`)
+	 *
+	 * The previous element is calculated when the movement starts (`this.policy`).
+	 *
+	 * @param {object} [options] Options of `this.goTo()`
+	 *
+	 * @return {Promise} Logical index of the element
+	 */
+	previous(options) {
+		// Exit (success)
+		return this.goTo(() => (this.current ?? 1) - 1, options);
 	}
 
 	/**
-	 * @name Restart
+	 * @name Go to
 	 *
 	 * @description
-	 * Stop and start the process of the hotline instance
+	 * Move elements so the element is in the magnetism area
+	 *
+	 * This method is used to move elements.
+	 *
+	 * The shortest path is used (around the loop with `this.transfer`).
+	 * Movement is animated by the process, so without the started hotline instance elements are moved at once.
+	 *
+	 * @param {(number|HTMLElement|function)} target Logical index (looped, can be negative), the element or a function that returns them
+	 * @param {object} [options]
+	 * @param {(magnetism.<symbol>|string)} [options.area] Magnetism area (`this.magnetic` or the beginning by default)
+	 * @param {number} [options.duration] Duration (ms) of movement (`this.duration` by default)
+	 * @param {(string|function)} [options.easing] Easing of movement (`this.easing` by default)
+	 * @param {AbortSignal} [options.signal] Signal for aborting movement
+	 * @param {string} [options.policy] What to do while another movement is running (`this.policy` by default)
+	 *
+	 * @return {Promise} Logical index of the element
+	 *
+	 * @throws {exception} Rejected: not found the element, aborted, interrupted or ignored movement
 	 */
-	restart() {
-		// Stopping the hotline instance
-		this.stop();
+	goTo(target, { area = this.magnetic ?? this.#magnetism.beginning, ...options } = {}) {
+		// Initializing the magnetism area
+		const magnetism = typeof area === "string" ? this.#magnetism[area] : area;
+
+		if (
+			!Object.values(this.#magnetism).includes(magnetism) ||
+			(typeof target !== "function" && this.#index(target) === null)
+		) {
+			// Not found the element or not implemented the area
+
+			// Exit (fail)
+			return Promise.reject(
+				new exception("Not found the element or the magnetism area", "target", {
+					target,
+					area
+				})
+			);
+		}
 
-		// Starting the hotline instance
-		this.start();
+		// Moving elements
+		return this.#travel(
+			() => this.#route(typeof target === "function" ? target() : target, magnetism),
+			options
+		);
 	}
 
 	/**
-	 * @name Configure
+	 * @name Route
 	 *
 	 * @description
-	 * Validate attribute and write parameter with its value
+	 * Calculate the shortest movement of elements so the element is in the magnetism area
 	 *
-	 * @param {string} attribute HTMLElement attribute
+	 * @param {(number|HTMLElement)} target Logical index (looped, can be negative) or the element
+	 * @param {magnetism.<symbol>} magnetism Magnetism area
+	 *
+	 * @return {(object|null)} { element, magnetism, index, distance }, null if not found the element in the shell
+	 *
+	 * @protected
 	 */
-	configure(attribute) {
-		// Initializing parameter name
-		const name = (/^data-hotline-(\w+)$/.exec(attribute) ?? [, null])[1];
+	#route(target, magnetism) {
+		// Initializing logical index of the element
+		const index = this.#index(target);
 
-		if (typeof name === "string") {
-			// Validated parameter name
+		// Not found the element
+		if (index === null) return null;
 
-			// Is the parameter allowed to be change?
-			if (this.#ignored.has(name)) return;
+		// Initializing the source element (rendered from the logical index with `this.virtual`)
+		const item = this.#reach(index);
 
-			// Initializing parameter value
-			const value = this.#shell.getAttribute(attribute);
+		// Initializing length of the loop (elements with their separators)
+		let length = 0;
 
-			if (name === "magnetic" && typeof this.magnetism[value] === "symbol") {
-				// Validated magnetism area value
+		for (const element of this.#shell.children) {
+			// Iterating over elements
 
-				// Writing implemented value to the parameter
-				this.magnetic = this.magnetism[value];
-			} else if (typeof value === "string") {
-				// Validated parameter value
+			// Initializing shape of the element
+			const shape = this.#shape(element);
+
+			// Writing length of the loop
+			length += shape.size + shape.offset;
+		}
 
-				if (value === "true" || value === "on" || value === "yes") {
-					// True
+		// Initializing the element that will be moved to the area
+		let nearest = null;
 
-					// Writing implemented value to the parameter
-					this[name] = true;
-				} else if (value === "false" || value === "off" || value === "no") {
-					// False
+		// Initializing distance of movement
+		let distance = null;
 
-					// Writing implemented value to the parameter
-					this[name] = false;
-				} else {
-					// Number or string
+		for (const element of this.#shell.children) {
+			// Iterating over elements
 
-					// Writing value to the parameter
-					this[name] = parseFloat(value) || value;
-				}
+			// The element is not the source element or its clone
+			if (this.#source(element) !== item) continue;
 
-				if (this.events.get("configured")) {
-					// Requested triggering the "configured" event
+			// Initializing offset of the element from the area
+			const offset = this.#offset(element, magnetism);
 
-					// Dispatching event: "configured"
-					this.#shell.dispatchEvent(
-						new CustomEvent("hotline.configured", {
-							detail: {
-								name,
-								value: this[name]
-							}
-						})
-					);
+			for (const variant of this.transfer === true && this.#transfer && this.#list === null
+				? [-offset, length - offset, -length - offset]
+				: [-offset]) {
+				// Iterating over paths (directly and around the loop, virtualized elements are not looped in the shell)
+
+				if (distance === null || Math.abs(variant) < Math.abs(distance)) {
+					// The path is shorter
+
+					// Writing the element
+					nearest = element;
+
+					// Writing distance of movement
+					distance = variant;
 				}
 			}
 		}
+
+		// Exit (success)
+		return nearest === null ? null : { element: nearest, magnetism, index, distance };
 	}
 
 	/**
-	 * @name Position
+	 * @name Travel
 	 *
 	 * @description
-	 * Write position of the first element (margin to the left or the top)
+	 * Register movement of elements (executed by the process)
 	 *
-	 * This method is used to move elements.
+	 * Without the started hotline instance elements are moved at once.
 	 *
-	 * @param {number} value Coordinate
+	 * @param {function} route Function that calculates the route of movement when it starts (`this.#route()`)
+	 * @param {object} [options]
+	 * @param {number} [options.duration] Duration (ms) of movement (`this.duration` by default)
+	 * @param {(string|function)} [options.easing] Easing of movement (`this.easing` by default)
+	 * @param {AbortSignal} [options.signal] Signal for aborting movement
+	 * @param {string} [options.policy] What to do while another movement is running (`this.policy` by default)
 	 *
-	 * @return {number|null} Offset of new position from old position of the first element
+	 * @return {Promise} Logical index of the element
+	 *
+	 * @protected
 	 */
-	position(value) {
-		// Initializing old position of the first element
-		const old = this.#first.position || undefined;
+	#travel(
+		route,
+		{ duration = this.duration, easing = this.easing, signal = null, policy = this.policy } = {}
+	) {
+		// Initializing the easing function
+		const curve = this.#curve(easing);
+
+		if (curve === null) {
+			// Not implemented easing
+
+			// Exit (fail)
+			return Promise.reject(new exception("Not implemented easing", "easing", { easing }));
+		}
 
-		if (typeof this.#first.element === "undefined") {
-			// Not initialized the first element
+		if (policy !== "queue" && policy !== "replace" && policy !== "ignore") {
+			// Not implemented policy
 
-			// Initializing the first element
-			this.#first.element = this.#shell.firstElementChild;
+			// Exit (fail)
+			return Promise.reject(new exception("Not implemented policy", "policy", { policy }));
 		}
 
-		if (this.#first.element instanceof HTMLElement) {
-			// Initialized the first element
+		if (signal !== null && typeof signal?.addEventListener !== "function") {
+			// Invalid signal
 
-			// Writing new position of the first element to the property
-			this.#first.position = value;
+			// Exit (fail)
+			return Promise.reject(new exception("The signal must be an AbortSignal", "signal", { signal }));
+		}
 
-			// Writing new position of the first element to the element
-			this.#first.element.style[this.vertical ? "marginTop" : "marginLeft"] =
-				this.#first.position + "px";
+		if (signal?.aborted) {
+			// The signal is already aborted
 
-			if (this.events.get("position")) {
-				// Requested triggering the "position" event
+			// Exit (fail)
+			return Promise.reject(
+				new exception("Movement was aborted by the signal", "aborted", {
+					reason: signal.reason
+				})
+			);
+		}
 
-				// Dispatching event: "position"
-				this.#shell.dispatchEvent(
-					new CustomEvent("hotline.position", {
-						detail: {
-							from: old,
-							to: value
-						}
-					})
-				);
-			}
+		if (policy === "ignore" && (this.#animation !== null || this.#queue.length > 0)) {
+			// Another movement is running
 
-			// Calculating offset of new position from old position and exit (success)
-			return value - (old || 0);
+			// Exit (fail)
+			return Promise.reject(
+				new exception("Movement was ignored: another movement is running", "ignored")
+			);
 		}
 
-		// Exit (fail)
-		return null;
+		return new Promise((resolve, reject) => {
+			// Initializing the movement
+			const movement = { route, duration, easing: curve, signal, abort: null, resolve, reject };
+
+			if (signal !== null) {
+				// Requested aborting the movement by the signal
+
+				// Initializing event listener for aborting the movement
+				movement.abort = () => this.#abort(movement);
+
+				// Connecting event listener for aborting the movement
+				signal.addEventListener("abort", movement.abort, { once: true });
+			}
+
+			// Interrupting the running and waiting movements
+			if (policy === "replace") this.#interrupt("Movement was interrupted by a new movement");
+
+			// Writing the movement into the queue
+			this.#queue.push(movement);
+
+			// Starting the movement (if there is no running movement)
+			this.#proceed();
+		});
 	}
 
 	/**
-	 * @name Move
+	 * @name Curve
 	 *
 	 * @description
-	 * Move the first element (margin to the left or the top)
+	 * Initialize the easing function
 	 *
-	 * This method is used to move elements.
+	 * @param {(string|function)} easing Name, "cubic-bezier(x1, y1, x2, y2)" or a function
 	 *
-	 * @param {number} [step] step Direction and speed of movement (otherwise `this.step`)
+	 * @return {(function|null)} The easing function, null if not implemented
 	 *
-	 * @return {number|null} Offset of new position from old position of the first element
+	 * @protected
 	 */
-	move(step) {
-		// Initializing obsolete position coordinate (`x` or `y` by `this.vertical`)
-		const obsolete = this.#first.position;
-
-		// Initializing actual position coordinate (`x` or `y` by `this.vertical`)
-		const coordinate = this.#first.position + (step || this.step);
+	#curve(easing) {
+		// The easing function
+		if (typeof easing === "function") return easing;
+
+		// Not implemented easing
+		if (typeof easing !== "string") return null;
+
+		// Initializing the easing function from the registry
+		let curve = this.#curves.get(easing);
+
+		if (typeof curve === "undefined") {
+			// Not found the easing function in the registry
+
+			// Initializing parameters of the cubic Bézier curve
+			const parameters =
+				/^cubic-bezier\(([^)]+)\)$/
+					.exec(easing.trim())?.[1]
+					.split(",")
+					.map(parseFloat) ?? [];
+
+			if (
+				parameters.length !== 4 ||
+				parameters.some((parameter) => !Number.isFinite(parameter)) ||
+				parameters[0] < 0 ||
+				parameters[0] > 1 ||
+				parameters[2] < 0 ||
+				parameters[2] > 1
+			) {
+				// Invalid parameters of the cubic Bézier curve
 
-		// Writing new position coordinate to the first element (moving)
-		const moved = this.position(coordinate);
+				// Exit (fail)
+				return null;
+			}
 
-		if (this.events.get("moving")) {
-			// Requested triggering the "moving" event
+			// Initializing the easing function
+			curve = this.#bezier(...parameters);
 
-			// Dispatching event: "moving"
-			document.dispatchEvent(
-				new CustomEvent("hotline.moving", {
-					detail: {
-						from: obsolete,
-						to: coordinate
-					}
-				})
-			);
+			// Writing the easing function into the registry
+			this.#curves.set(easing, curve);
 		}
 
 		// Exit (success)
-		return moved;
+		return curve;
 	}
 
 	/**
-	 * @name Move forward
+	 * @name Bézier
 	 *
 	 * @description
-	 * Moving the first element forward untill the last element be transfered to the first element position
+	 * Generate the easing function by the cubic Bézier curve (as "cubic-bezier()" in CSS)
 	 *
-	 * This method is used to move elements.
+	 * @param {number} x1 Abscissa of the first control point (from 0 to 1)
+	 * @param {number} y1 Ordinate of the first control point
+	 * @param {number} x2 Abscissa of the second control point (from 0 to 1)
+	 * @param {number} y2 Ordinate of the second control point
 	 *
-	 * @return {Promise}
+	 * @return {function}
+	 *
+	 * @protected
 	 */
-	forward() {
-		return new Promise((resolve, reject) => {
-			// Declaring timer of the forced stopping the moving process
-			let timer;
-
-			// Initializing speed of movement
-			let step = Math.abs(this.step) || 1;
-
-			// Starting moving proccess
-			const moving = setInterval(() => {
-				// Increasing the speed of movement with each iteration
-				++step;
-
-				// Moving
-				this.move(step);
-			}, this.interval);
-
-			// Initializing function for event listener for stopping movement when the last element be transferred to the first element position
-			const stopping = () => {
-				if (step > 10) {
-					// More than 10 pixels have been passed (used to fix the 1 pixel movement bug)
-
-					// Deinitializingt the moving process
-					clearInterval(moving);
+	#bezier(x1, y1, x2, y2) {
+		// Initializing coordinate of the curve by the parameter (from 0 to 1)
+		const coordinate = (t, first, second) =>
+			3 * (1 - t) ** 2 * t * first + 3 * (1 - t) * t ** 2 * second + t ** 3;
 
-					// Deinitializing the timer of the forced stopping the moving process
-					clearTimeout(timer);
+		return (progress) => {
+			// Initializing borders of search for the parameter
+			let from = 0;
+			let to = 1;
 
-					if (this.events.get("moved.forward")) {
-						// Requested triggering the "moved.forward" event
+			// Initializing the parameter
+			let t = progress;
 
-						// Dispatching event: "moved.forward"
-						this.#shell.dispatchEvent(new CustomEvent("hotline.moved.forward"));
-					}
+			for (let i = 0; i < 30; i++) {
+				// Search for the parameter of the curve by progress of time (bisection)
 
-					// Disconnecting event listener for stopping movement when the last element be transferred to the first element position
-					this.#shell.removeEventListener("hotline.transfer.beginning", stopping);
+				// Initializing abscissa of the curve by the parameter
+				const x = coordinate(t, x1, x2);
 
-					// Exit (success)
-					resolve();
-				}
-			};
+				// Found the parameter
+				if (Math.abs(x - progress) < 1e-6) break;
 
-			// Connecting event listener for stopping movement when the last element be transferred to the first element position
-			this.#shell.addEventListener("hotline.transfer.beginning", stopping, false);
+				// Writing borders of search
+				if (x < progress) from = t;
+				else to = t;
 
-			// Initializing timer of the forced stopping the moving process
-			timer = setTimeout(() => {
-				// Deinitializing the moving process
-				clearTimeout(moving);
+				// Writing the parameter
+				t = (from + to) / 2;
+			}
 
-				// Exit (fail)
-				reject();
-			}, 5000);
-		});
+			// Exit (success)
+			return coordinate(t, y1, y2);
+		};
 	}
 
 	/**
-	 * @name Move backward
+	 * @name Magnetize
 	 *
 	 * @description
-	 * Moving the first element backward untill the first element be transfered to the last element position
+	 * Move the target element to the specified area and stop
 	 *
 	 * This method is used to move elements.
 	 *
+	 * Coordinates are calculated from the layout model (horizontal and vertical `this.#shell`),
+	 * so the target element stops exactly in the area (shifted by `this.padding`).
+	 *
+	 * @param {HTMLElement} element Target element that will be magnetized
+	 * @param {magnetism.<symbol>} magnetism Magnetism area
+	 * @param {object} [options] Options of `this.goTo()` (except the area)
+	 *
 	 * @return {Promise}
 	 */
-	backward() {
-		return new Promise((resolve, reject) => {
-			// Declaring timer of the forced stopping the moving process
-			let timer;
+	magnetize(element, magnetism, options) {
+		if (this.#offset(element, magnetism) === null) {
+			// Not found the element in the shell or not implemented the area
+
+			// Exit (fail)
+			return Promise.reject(
+				new exception("Not found the element in the shell or the magnetism area", "target", {
+					target: element,
+					area: magnetism
+				})
+			);
+		}
 
-			// Initializing speed of movement
-			let step = -Math.abs(this.step) || -1;
+		return this.#travel(() => {
+			// Initializing offset of the target element from the area (calculated when the movement starts)
+			const offset = this.#offset(element, magnetism);
 
-			// Starting moving proccess
-			const moving = setInterval(() => {
-				// Increasing the speed of movement with each iteration
-				--step;
+			// Exit (success)
+			return offset === null
+				? null
+				: { element, magnetism, index: this.#index(element), distance: -offset };
+		}, options).then(() => {
+			if (this.events.get("magnetized")) {
+				// Requested triggering the "magnetized" event
+
+				// Dispatching event: "magnetized"
+				this.#shell.dispatchEvent(
+					new CustomEvent("hotline.magnetized", {
+						detail: {
+							magnetism: magnetism
+						}
+					})
+				);
+			}
 
-				// Moving
-				this.move(step);
-			}, this.interval);
+			// Exit (success)
+			return magnetism;
+		});
+	}
 
-			// Initializing function for event listener for stopping movement when the first element be transferred to the last element position
-			const stopping = () => {
-				if (step < -10) {
-					// More than 10 pixels have been passed (used to fix the 1 pixel movement bug)
+	/**
+	 * @name Offset
+	 *
+	 * @description
+	 * Calculate offset of the element from the magnetism area (from the layout model)
+	 *
+	 * Positive offset: the element is ahead of the area (right or bottom by `this.vertical`)
+	 *
+	 * @param {HTMLElement} element The element of `this.#shell`
+	 * @param {magnetism.<symbol>} magnetism Magnetism area
+	 *
+	 * @return {(number|null)} Offset (px), null if the element is not found in the shell or the area is not implemented
+	 *
+	 * @protected
+	 */
+	#offset(element, magnetism) {
+		// Not initialized the element
+		if (!(element instanceof HTMLElement)) return null;
 
-					// Deinitializingt the moving process
-					clearInterval(moving);
+		// Initializing coordinate of the beginning of the element
+		const beginning = this.#locate(element);
 
-					// Deinitializing the timer of the forced stopping the moving process
-					clearTimeout(timer);
+		// Not found the element in the shell
+		if (beginning === null) return null;
 
-					if (this.events.get("moved.backward")) {
-						// Requested triggering the "moved.backward" event
+		// Initializing size of the element
+		const size = this.#shape(element).size;
 
-						// Dispatching event: "moved.backward"
-						this.#shell.dispatchEvent(new CustomEvent("hotline.moved.backward"));
-					}
+		// Initializing size of the shell
+		const shell = this.#layout.size;
 
-					// Disconnecting event listener for stopping movement when the first element be transferred to the last element position
-					this.#shell.removeEventListener("hotline.transfer.end", stopping);
+		switch (magnetism) {
+			case this.#magnetism.beginning:
+				// Beginning area
 
-					// Exit (success)
-					resolve();
-				}
-			};
+				// Exit (success)
+				return beginning - this.#padding("beginning");
+			case this.#magnetism.center:
+				// Central area
 
-			// Connecting event listener for stopping movement when the first element be transferred to the last element position
-			this.#shell.addEventListener("hotline.transfer.end", stopping, false);
+				// Exit (success)
+				return beginning + size / 2 - (shell / 2 + this.#padding("center"));
+			case this.#magnetism.end:
+				// End area
 
-			// Initializing timer of the forced stopping the moving process
-			timer = setTimeout(() => {
-				// Deinitializing the moving process
-				clearTimeout(moving);
+				// Exit (success)
+				return beginning + size - (shell - this.#padding("end"));
+			default:
+				// Not implemented area
 
 				// Exit (fail)
-				reject();
-			}, 5000);
-		});
+				return null;
+		}
 	}
 
 	/**
-	 * @name Magnetize
+	 * @name Padding (area)
 	 *
 	 * @description
-	 * Move the target element to the specified area and stop
+	 * Read padding of the magnetism area from `this.padding`
 	 *
-	 * This method is used to move elements.
+	 * @param {string} area "beginning", "center" or "end"
+	 *
+	 * @return {number} Padding (px)
+	 *
+	 * @protected
+	 */
+	#padding(area) {
+		// Exit (success)
+		return (
+			parseFloat(typeof this.padding === "object" ? this.padding?.[area] : this.padding) || 0
+		);
+	}
+
+	/**
+	 * @name Group
 	 *
-	 * To use this method you must have a fixed size of `this.#shell`,
-	 * otherwise `this.#shell.getBoundingClientRect()` will return the result
-	 * of the entire length including hidden elements.
+	 * @description
+	 * Link the hotline instances
 	 *
-	 * ⚠️ At the moment, the element does not always stopped exactly in the desired position.
-	 * The error in getting into the desired area depends on the settings.
-	 * If you want to stop elements for users to view, then use `this.forward` and `this.backward`,
-	 * setting event listeners on them to implement the "swipe right" and "swipe left" technology,
-	 * as well as the "keydown" for the "<-" and "->" buttons on the keyboard.
+	 * The leader is followed by other instances (followers):
+	 * mirror - followers are moved with the leader (`this.move()` by the "hotline.position" event)
+	 * follow - followers magnetize their elements with the logical index of `this.current` of the leader
 	 *
-	 * @param {HTMLElement} element Target element that will be magnetized
-	 * @param {magnetism.<symbol>} magnetism Magnetism area
+	 * For parallax lines, stop movement of followers by themselves (`this.alive = false`).
+	 * The "position" and "statechange" events are enabled while instances are linked.
 	 *
-	 * @return {Promise}
+	 * @param {Array} instances The hotline instances
+	 * @param {object} [options]
+	 * @param {hotline} [options.leader] The leader (the first instance by default)
+	 * @param {boolean} [options.freeze=true] Freeze and pause all instances together (hovering one freezes all)?
+	 * @param {boolean} [options.mirror=false] Move followers with the leader?
+	 * @param {number} [options.ratio=1] Multiplier of distance of mirrored movement
+	 * @param {boolean} [options.opposite=false] Move followers in the opposite direction?
+	 * @param {boolean} [options.follow=false] Magnetize followers to the current element of the leader?
+	 *
+	 * @return {object} The group ({ instances, leader, disconnect() })
+	 *
+	 * @throws {exception} Not enough hotline instances or the leader is not in the group
 	 */
-	magnetize(element, magnetism) {
-		return new Promise((resolve, reject) => {
-			if (element instanceof HTMLElement) {
-				// Initialized the element
+	static group(
+		instances,
+		{
+			leader = instances?.[0],
+			freeze = true,
+			mirror = false,
+			ratio = 1,
+			opposite = false,
+			follow = false
+		} = {}
+	) {
+		// Initializing the hotline instances
+		const linked = [...(instances ?? [])];
+
+		if (
+			linked.length < 2 ||
+			linked.some((instance) => !(instance instanceof hotline)) ||
+			!linked.includes(leader)
+		) {
+			// Not enough hotline instances or the leader is not in the group
+
+			// Exit (fail)
+			throw new exception(
+				"The group requires at least 2 hotline instances including the leader",
+				"group",
+				{ instances, leader }
+			);
+		}
 
-				// Initializing shape of the target element
-				const target = element.getBoundingClientRect();
+		// Initializing followers
+		const followers = linked.filter((instance) => instance !== leader);
 
-				// Initializing shape of the shell element
-				const shell = this.#shell.getBoundingClientRect();
+		// Initializing registry of event listeners (hotline instance => { type: listener })
+		const listeners = new Map();
 
-				// Declaring offset center of the target element from center of the shell element
-				let offset;
+		// Initializing registry of initial values of enabled events (hotline instance => { name: value })
+		const events = new Map();
 
-				switch (magnetism) {
-					case this.#magnetism.beginning:
-						// Beginning area
+		// Initializing function for connecting event listener to the shell of the hotline instance
+		const connect = (instance, name, listener) => {
+			// Writing initial value of the event
+			events.set(instance, { ...events.get(instance), [name]: instance.events.get(name) });
 
-						// wait for updates
-						break;
-					case this.#magnetism.center:
-						// Central area
+			// Enabling the event
+			instance.events.set(name, true);
 
-						// Calculating and writing offset of the target element center from the shell element center
-						offset = target.x + target.width / 2 - (shell.x + shell.width / 2);
-						break;
-					case this.#magnetism.end:
-						// End area
+			// Writing the event listener
+			listeners.set(instance, { ...listeners.get(instance), ["hotline." + name]: listener });
 
-						// wait for updates
-						break;
-					default:
-						return;
-				}
+			// Connecting the event listener
+			instance.#shell.addEventListener("hotline." + name, listener);
+		};
 
-				if (offset > 0) {
-					// The target element center is ahead of the shell element center (right or bottom by `this.vertical`)
+		if (freeze) {
+			// Requested freezing and pausing all instances together
 
-					// Declaring timer of the forced stopping the magnetizing process
-					let timer;
+			// Initializing indicator of synchronizing states (states changed by the group are not synchronized again)
+			let synchronizing = false;
 
-					// Initializing speed of movement
-					let step = -Math.abs(this.magnet) || -Math.abs(this.step) || 0;
+			for (const instance of linked) {
+				// Iterating over the hotline instances
 
-					// Starting magnetizing proccess (moving)
-					const magnet = setInterval(() => {
-						// Increasing the speed of movement with each iteration
-						--step;
+				connect(instance, "statechange", (event) => {
+					// The state of the hotline instance was changed
 
-						// Calculating brake
-						const brake = offset + step;
+					// The state was changed by the group
+					if (synchronizing) return;
 
-						if (brake <= 0) {
-							// The target element center is going to pass the shell element center
+					// Initializing states
+					const { from, to } = event.detail;
 
-							// Changing step length to reach the shell element center
-							step = -offset;
-						}
+					// Writing indicator of synchronizing states
+					synchronizing = true;
 
-						// Moving
-						offset += this.move(step) || 0;
+					for (const other of linked) {
+						// Iterating over other hotline instances
 
-						if (offset === 0) {
-							// The target element center has reached the shell element center
+						// The hotline instance that changed the state
+						if (other === instance) continue;
 
-							// Deinitializingt the magnetizing process
-							clearInterval(magnet);
+						if (to === "frozen") {
+							// Frozen
 
-							// Deinitializing the timer of the forced stopping the magnetizing process
-							clearTimeout(timer);
+							// Freezing the hotline instance
+							other.#freeze(event);
+						} else if (to === "paused" && (other.#status === "running" || other.#status === "frozen")) {
+							// Paused
 
-							if (this.events.get("magnetized")) {
-								// Requested triggering the "magnetized" event
+							// Pausing the hotline instance
+							other.pause();
+						} else if (to === "running" && from === "paused" && other.#status === "paused") {
+							// Resumed
 
-								// Dispatching event: "magnetized"
-								this.#shell.dispatchEvent(
-									new CustomEvent("hotline.magnetized", {
-										detail: {
-											magnetism: magnetism
-										}
-									})
-								);
-							}
+							// Resuming the hotline instance
+							other.resume();
+						} else if (
+							to === "running" &&
+							from === "frozen" &&
+							other.#pointer === null &&
+							other.#fling === null &&
+							!other.#focused &&
+							(!other.hover || !other.#hovered)
+						) {
+							// Unfrozen and the hotline instance is not held by the user
 
-							// Exit (success)
-							resolve(magnetism);
+							// Unfreezing the hotline instance
+							other.#unfreeze(event);
 						}
-					}, this.interval);
-
-					// Initializing timer of the forced stopping the magnetizing process
-					timer = setTimeout(() => {
-						// Deinitializing the magnetizing process
-						clearTimeout(magnet);
+					}
 
-						// Exit (fail)
-						reject();
-					}, 5000);
-				} else if (offset < 0) {
-					// The target element center is behind of the shell element center (left or top by `this.vertical`)
+					// Writing indicator of synchronizing states
+					synchronizing = false;
+				});
+			}
+		}
 
-					// Declaring timer of the forced stopping the magnetizing process
-					let timer;
+		if (mirror || follow) {
+			// Requested following the leader
 
-					// Initializing speed of movement
-					let step = Math.abs(this.magnet) || Math.abs(this.step) || 0;
+			// Initializing logical index of the current element of the leader
+			let current = null;
 
-					// Starting magnetizing proccess (moving)
-					const magnet = setInterval(() => {
-						// Increasing the speed of movement with each iteration
-						++step;
+			connect(leader, "position", (event) => {
+				// The leader was moved
 
-						// Calculating brake
-						const brake = offset + step;
+				if (mirror) {
+					// Requested moving followers with the leader
 
-						if (brake >= 0) {
-							// The target element center is going to pass the shell element center
+					// Initializing distance of movement of the leader
+					const distance = event.detail.to - (event.detail.from || 0);
 
-							// Changing step length to reach the shell element center
-							step = -offset;
-						}
+					for (const follower of followers) {
+						// Iterating over followers
 
-						// Moving
-						offset += this.move(step) || 0;
+						// Moving the follower
+						if (distance !== 0) follower.move(distance * ratio * (opposite ? -1 : 1));
+					}
+				}
 
-						if (offset === 0) {
-							// The target element center has reached the shell element center
+				if (follow) {
+					// Requested magnetizing followers to the current element of the leader
 
-							// Deinitializingt the magnetizing process
-							clearInterval(magnet);
+					// Initializing logical index of the current element of the leader
+					const index = leader.current;
 
-							// Deinitializing the timer of the forced stopping the magnetizing process
-							clearTimeout(timer);
+					if (index !== null && index !== current) {
+						// The current element of the leader was changed
 
-							if (this.events.get("magnetized")) {
-								// Requested triggering the "magnetized" event
+						// Writing logical index of the current element of the leader
+						current = index;
 
-								// Dispatching event: "magnetized"
-								this.#shell.dispatchEvent(
-									new CustomEvent("hotline.magnetized", {
-										detail: {
-											magnetism: magnetism
-										}
-									})
-								);
-							}
+						for (const follower of followers) {
+							// Iterating over followers
 
-							// Exit (success)
-							resolve(magnetism);
+							// Magnetizing the follower (interrupting is ignored)
+							follower.goTo(index, { policy: "replace" }).catch(() => {});
 						}
-					}, this.interval);
+					}
+				}
+			});
+		}
 
-					// Initializing timer of the forced stopping the magnetizing process
-					timer = setTimeout(() => {
-						// Deinitializing the magnetizing process
-						clearTimeout(magnet);
+		// Exit (success)
+		return {
+			instances: linked,
+			leader,
+			disconnect() {
+				for (const [instance, registry] of listeners) {
+					// Iterating over the hotline instances
+
+					for (const type in registry) {
+						// Iterating over event listeners
+
+						// Disconnecting the event listener
+						instance.#shell.removeEventListener(type, registry[type]);
+					}
+				}
 
-						// Exit (fail)
-						reject();
-					}, 5000);
-				} else {
-					// The target element center has reached the shell element center
+				for (const [instance, registry] of events) {
+					// Iterating over the hotline instances
 
-					if (this.events.get("magnetized")) {
-						// Requested triggering the "magnetized" event
+					for (const name in registry) {
+						// Iterating over enabled events
 
-						// Dispatching event: "magnetized"
-						this.#shell.dispatchEvent(
-							new CustomEvent("hotline.magnetized", {
-								detail: {
-									magnetism: magnetism
-								}
-							})
-						);
+						// Restoring initial value of the event
+						instance.events.set(name, registry[name]);
 					}
-
-					// Exit (success)
-					resolve(magnetism);
 				}
+
+				// Deinitializing registries
+				listeners.clear();
+				events.clear();
 			}
-		});
+		};
 	}
 
 	/**
@@ -1802,8 +7969,15 @@ export class hotline {
 				instance.configure(attribute);
 			}
 
-			// Starting the hotline instance
-			instance.start();
+			try {
+				// Starting the hotline instance
+				instance.start();
+			} catch {
+				// Not started the hotline instance (for example, not enough elements)
+
+				// Writing into counter of errors
+				++error;
+			}
 
 			// Writing into registry of generated the hotline instances
 			generated.add(instance);
@@ -1823,4 +7997,94 @@ export class hotline {
 		// Exit (success)
 		return generated;
 	}
-}
\ No newline at end of file
+}
+
+/**
+ * @name Exception
+ *
+ * @description
+ * Error of the hotline instance
+ *
+ * @class
+ * @public
+ *
+ * @example
+ * try {
+ *   instance.start();
+ * } catch (error) {
+ *   if (error instanceof exception && error.code === "transition") console.warn(error.detail);
+ * }
+ */
+export class exception extends Error {
+	/**
+	 * @name Name
+	 *
+	 * @description
+	 * Name of the error
+	 *
+	 * @type {string}
+	 *
+	 * @public
+	 */
+	name = "HotlineException";
+
+	/**
+	 * @name Code
+	 *
+	 * @description
+	 * Type of the error
+	 *
+	 * "transition": not allowed transition between states (for example, starting a destroyed instance)
+	 * "elements": not enough elements in the shell
+	 * "element": not an element or a clone is written into the shell (`insert()`, `replace()`...)
+	 * "virtual": elements are changed not by `update()` with `this.virtual`
+	 * "render": not a template function (`this.render`) or it returned not an element
+	 * "items": not a data source (`update()`)
+	 * "feed": not a source of messages (`feed()`)
+	 * "target": not found the element of the movement (`goTo()`, `next()`, `previous()`...)
+	 * "easing": not implemented easing of the movement
+	 * "policy": not implemented policy of concurrent movements
+	 * "signal": not an AbortSignal
+	 * "aborted": the movement was aborted by the signal
+	 * "interrupted": the movement was interrupted (by the user, a new movement or stopping)
+	 * "ignored": the movement was ignored (another movement is running with the "ignore" policy)
+	 * "group": not enough hotline instances in the group, not hotline instances or the leader is not in the group (`hotline.group()`)
+	 *
+	 * @type {string}
+	 *
+	 * @public
+	 */
+	code;
+
+	/**
+	 * @name Detail
+	 *
+	 * @description
+	 * Details of the error (for example, `{ from, to }` for the "transition" code)
+	 *
+	 * @type {object}
+	 *
+	 * @public
+	 */
+	detail;
+
+	/**
+	 * @name Constructor
+	 *
+	 * @description
+	 * Initialize an error of the hotline instance
+	 *
+	 * @param {string} message Message
+	 * @param {string} code Type of the error
+	 * @param {object} [detail={}] Details of the error
+	 **/
+	constructor(message, code, detail = {}) {
+		super(message);
+
+		// Writing type of the error
+		this.code = code;
+
+		// Writing details of the error
+		this.detail = detail;
+	}
+}